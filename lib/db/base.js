@@ -7,7 +7,13 @@ const db = require('db');
 const Pool = require('fib-pool');
 const coroutine = require('coroutine');
 const createLogger = require('../logger');
-const { parseTask } = require('./util');
+const {
+    parseTask,
+    computeRetryDelay,
+    computeRateLimitWindow,
+    getCalendarBlackoutEnd,
+    getNextWindowOpening
+} = require('./util');
 
 // Create logger for database operations
 const logger = createLogger('fib-flow');
@@ -48,6 +54,14 @@ function normalizeRootId(taskId, rootId) {
     return rootId || taskId;
 }
 
+// Runs of a cron schedule with run history are async children carrying the slot they
+// run for; the schedule row does not wait on them like a workflow parent
+function isScheduleRun(task) {
+    return task.type === 'async'
+        && task.parent_id !== null && task.parent_id !== undefined
+        && task.scheduled_time !== null && task.scheduled_time !== undefined;
+}
+
 function hasFilterValue(value) {
     return value !== undefined && value !== null;
 }
@@ -106,8 +120,8 @@ function hasOwn(obj, key) {
     return Object.prototype.hasOwnProperty.call(obj, key);
 }
 
-const DEFAULT_RETENTION_STATUSES = ['completed', 'permanently_failed'];
-const ALLOWED_RETENTION_STATUSES = ['completed', 'permanently_failed', 'paused'];
+const DEFAULT_RETENTION_STATUSES = ['completed', 'permanently_failed', 'cancelled'];
+const ALLOWED_RETENTION_STATUSES = ['completed', 'permanently_failed', 'cancelled', 'paused'];
 const INTERNAL_RETENTION_BATCH_SIZE = 100;
 
 function normalizeRetentionPolicy(policy, fallbackExpireTime = null) {
@@ -395,10 +409,50 @@ class BaseDBAdapter {
         return rs.insertId;
     }
 
+    /**
+     * Lists the columns of a table
+     * Each database adapter implements it with its own catalog query
+     * 
+     * @protected
+     * @param {Object} conn - Database connection object
+     * @param {string} table - Table name
+     * @returns {string[]} Column names of the table
+     * @throws {Error} If not overridden by subclass
+     */
+    _getColumnNames(conn, table) {
+        throw new Error('_getColumnNames() must be implemented by subclass');
+    }
+
+    /**
+     * Adds the columns a table created by an older version lacks
+     * CREATE TABLE IF NOT EXISTS leaves existing tables untouched, so setup() calls this
+     * to upgrade them in place before creating indexes on the new columns
+     * 
+     * @protected
+     * @param {Object} conn - Database connection object
+     * @param {string} table - Table name
+     * @param {Object<string, string>} columns - Column definitions keyed by column name
+     */
+    _addMissingColumns(conn, table, columns) {
+        const existing = new Set(this._getColumnNames(conn, table));
+        for (const name of Object.keys(columns)) {
+            if (!existing.has(name)) {
+                logger.info(`[BaseDBAdapter] Adding column ${name} to ${table}`);
+                conn.execute(`ALTER TABLE ${table} ADD COLUMN ${name} ${columns[name]}`);
+            }
+        }
+    }
+
     /**
      * Manages task insertion with comprehensive validation and workflow tracking.
      * Supports atomic insertion of single or multiple tasks with parent-child relationships.
      * 
+     * Tasks carrying an idempotency_key are deduplicated per task name: while the key's
+     * dedupe window is open, the ID of the existing task is returned instead of a new row.
+     * 
+     * Async tasks with a scheduled_time inserted under a cron parent are runs of that schedule:
+     * they are linked to the schedule row without suspending it.
+     * 
      * @param {object|Array<object>} tasks - Tasks to be inserted
      * @param {object} [options] - Insertion context and workflow metadata
      * @returns {number|Array<number>} Assigned task ID(s)
@@ -408,16 +462,102 @@ class BaseDBAdapter {
         logger.info(`[BaseDBAdapter] Inserting tasks with options:`, options);
         const isArray = Array.isArray(tasks);
         const taskArray = isArray ? tasks : [tasks];
+        const hasIdempotencyKeys = taskArray.some(task => task && task.idempotency_key !== undefined && task.idempotency_key !== null);
+
+        let taskIds = [];
+        for (let attempt = 0; ; attempt++) {
+            try {
+                taskIds = this._insertTasks(taskArray, options);
+                break;
+            } catch (error) {
+                // A concurrent submission may have inserted the same idempotency key first;
+                // the second pass finds its row and returns it
+                if (!hasIdempotencyKeys || attempt > 0) {
+                    throw error;
+                }
+                logger.warning(`[BaseDBAdapter] Retrying idempotent task insertion: ${error.message}`);
+            }
+        }
+
+        return isArray ? taskIds : taskIds[0];
+    }
+
+    /**
+     * Find the live task holding a task's idempotency key.
+     * A key whose dedupe window has passed is released so the task can be inserted again.
+     * @protected
+     * @param {Object} conn - Database connection object
+     * @param {object} task - Task about to be inserted
+     * @param {number} now - Current time (Unix seconds)
+     * @returns {object|null} Existing task row, or null when the task should be inserted
+     */
+    _findIdempotentTaskWithConnection(conn, task, now) {
+        if (!task || task.idempotency_key === undefined || task.idempotency_key === null) {
+            return null;
+        }
+
+        const key = String(task.idempotency_key);
+        if (key === '') {
+            throw new Error('Idempotency key must be a non-empty string');
+        }
+
+        const rs = conn.execute(
+            `SELECT id, name, status, parent_id, result, error, idempotency_expires_at
+             FROM fib_flow_tasks WHERE name = ? AND idempotency_key = ?`,
+            task.name,
+            key
+        );
+
+        if (rs.length === 0) {
+            return null;
+        }
+
+        const existing = rs[0];
+        if (existing.idempotency_expires_at !== null && Number(existing.idempotency_expires_at) <= now) {
+            logger.info(`[BaseDBAdapter] Idempotency key ${key} of task ${existing.id} expired, releasing it`);
+            conn.execute(`UPDATE fib_flow_tasks SET idempotency_key = NULL WHERE id = ?`, existing.id);
+            return null;
+        }
+
+        return existing;
+    }
 
+    /**
+     * Insert tasks in one transaction, reusing tasks that hold the same idempotency key
+     * @protected
+     * @param {Array<object>} taskArray - Tasks to be inserted
+     * @param {object} options - Insertion context and workflow metadata
+     * @returns {Array<number>} Assigned or reused task IDs, in input order
+     */
+    _insertTasks(taskArray, options) {
         const taskIds = [];
         this.pool(conn => conn.trans(() => {
             const now = Math.floor(Date.now() / 1000);
             const events = [];
             let parentTask = null;
             const childTaskNames = [];
+            const existingTasks = taskArray.map(task => this._findIdempotentTaskWithConnection(conn, task, now));
+            const reusedTasks = existingTasks.filter(existing => existing);
+            const newTaskCount = taskArray.length - reusedTasks.length;
+            const scheduleRuns = Boolean(options.parent_id) && taskArray.every(task => task && isScheduleRun({
+                ...task,
+                parent_id: options.parent_id
+            }));
+
+            for (const existing of reusedTasks) {
+                if (options.parent_id && Number(existing.parent_id) !== Number(options.parent_id)) {
+                    throw new Error(`Idempotency key of task ${existing.name} is held by task ${existing.id} outside parent task ${options.parent_id}`);
+                }
+            }
 
-            // Updates parent task state to reflect child task creation
-            if (options.parent_id) {
+            if (scheduleRuns) {
+                // Schedule runs only link to the schedule row, which keeps its own status
+                const scheduleRs = conn.execute(`SELECT type FROM fib_flow_tasks WHERE id = ?`, options.parent_id);
+                if (scheduleRs.length === 0 || scheduleRs[0].type !== 'cron') {
+                    throw new Error(`Schedule task ${options.parent_id} not found`);
+                }
+            } else if (options.parent_id) {
+                // Updates parent task state to reflect child task creation
                 logger.info(`[BaseDBAdapter] Updating parent task ${options.parent_id}`);
 
                 const parentRs = conn.execute(
@@ -436,7 +576,7 @@ class BaseDBAdapter {
                 // Check if context update is needed
                 if (options.context !== undefined) {
                     logger.info(`[BaseDBAdapter] Updating parent task ${options.parent_id} with context data`);
-                    const params = [taskArray.length, options.context, options.parent_id];
+                    const params = [newTaskCount, options.context, options.parent_id];
                     let sql = `UPDATE fib_flow_tasks 
                              SET total_children = total_children + ?,
                                  status = 'suspended',
@@ -452,7 +592,7 @@ class BaseDBAdapter {
                         ...params
                     );
                 } else {
-                    const params = [taskArray.length, options.parent_id];
+                    const params = [newTaskCount, options.parent_id];
                     let sql = `UPDATE fib_flow_tasks 
                              SET total_children = total_children + ?,
                                  status = 'suspended',
@@ -477,9 +617,37 @@ class BaseDBAdapter {
                     outcome: 'suspended',
                     timeout_flag: false
                 });
+
+                // Reused children that already finished are counted in completed_children;
+                // restore their entries in the parent result cleared above
+                for (const existing of reusedTasks) {
+                    let resultEntry = null;
+                    if (existing.status === 'completed') {
+                        resultEntry = `${existing.id}:${existing.result ?? 'null'}\n`;
+                    } else if (existing.status === 'permanently_failed' || existing.status === 'cancelled') {
+                        resultEntry = `${existing.id}!${JSON.stringify(existing.error)}\n`;
+                    }
+
+                    if (resultEntry) {
+                        conn.execute(
+                            `UPDATE fib_flow_tasks SET result = CONCAT(COALESCE(result, ''), ?) WHERE id = ?`,
+                            resultEntry,
+                            parentTask.id
+                        );
+                    }
+                }
             }
 
-            for (const task of taskArray) {
+            for (let index = 0; index < taskArray.length; index++) {
+                const task = taskArray[index];
+                const existing = existingTasks[index];
+                if (existing) {
+                    logger.info(`[BaseDBAdapter] Task ${task.name} with idempotency key ${task.idempotency_key} already exists as ${existing.id}`);
+                    taskIds.push(existing.id);
+                    childTaskNames.push(task.name);
+                    continue;
+                }
+
                 // Enforces strict task definition requirements
                 if (!task) {
                     throw new Error('Task object is required');
@@ -493,22 +661,33 @@ class BaseDBAdapter {
                 if (options.parent_id && task.type !== 'async') {
                     throw new Error('Parent tasks can only be of type "async"');
                 }
+                if (task.schedule_id && task.type !== 'cron') {
+                    throw new Error('Only cron tasks can have a schedule_id');
+                }
                 if (!['async', 'cron'].includes(task.type)) {
                     throw new Error('Task type must be either "async" or "cron"');
                 }
                 // Validate task status if provided
-                if (task.status && !['pending', 'running', 'completed', 'failed', 'timeout', 'permanently_failed', 'paused', 'suspended'].includes(task.status)) {
+                if (task.status && !['pending', 'running', 'completed', 'failed', 'timeout', 'permanently_failed', 'paused', 'suspended', 'cancelled'].includes(task.status)) {
                     throw new Error(`Invalid task status: ${task.status}`);
                 }
+                if (task.idempotency_ttl !== undefined && task.idempotency_ttl !== null
+                    && (!Number.isFinite(Number(task.idempotency_ttl)) || Number(task.idempotency_ttl) <= 0)) {
+                    throw new Error('Idempotency TTL must be a positive number of seconds');
+                }
+                const hasIdempotencyKey = task.idempotency_key !== undefined && task.idempotency_key !== null;
 
                 logger.info(`[BaseDBAdapter] Inserting task with name: ${task.name}`);
                 const rs = conn.execute(
                     `INSERT INTO fib_flow_tasks (
                             name, type, status, priority, payload, cron_expr,
-                            max_retries, retry_interval, next_run_time, timeout,
+                            max_retries, retry_interval, retry_policy, max_deferrals, next_run_time, timeout,
                             created_at, root_id, parent_id, total_children, completed_children,
-                            tag
-                        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, 0, ?)`,
+                            tag, idempotency_key, idempotency_expires_at, schedule_id, timezone,
+                            scheduled_time, misfire_policy, misfire_limit, overlap_policy,
+                            start_at, end_at, max_runs, interval_seconds, interval_anchor, calendar,
+                            allowed_windows, window_overrun
+                        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                     task.name,
                     task.type,
                     task.status || 'pending', // Use provided status or default to pending
@@ -517,12 +696,30 @@ class BaseDBAdapter {
                     task.cron_expr || null,
                     task.max_retries !== undefined ? task.max_retries : 3,
                     task.retry_interval || 0,
+                    task.retry_policy ? JSON.stringify(task.retry_policy) : null,
+                    task.max_deferrals !== undefined ? task.max_deferrals : null,
                     task.next_run_time || now,
                     task.timeout || 60,
                     now,
                     options.root_id || null,
                     options.parent_id || null,
-                    task.tag || null
+                    task.tag || null,
+                    hasIdempotencyKey ? String(task.idempotency_key) : null,
+                    hasIdempotencyKey && task.idempotency_ttl ? now + Math.ceil(Number(task.idempotency_ttl)) : null,
+                    task.schedule_id || null,
+                    task.timezone || null,
+                    task.type === 'cron' ? (task.scheduled_time || task.next_run_time || now) : (task.scheduled_time || null),
+                    task.misfire_policy || null,
+                    task.misfire_limit || null,
+                    task.type === 'cron' ? (task.overlap_policy || null) : null,
+                    task.type === 'cron' ? (task.start_at || null) : null,
+                    task.type === 'cron' ? (task.end_at || null) : null,
+                    task.type === 'cron' ? (task.max_runs || null) : null,
+                    task.type === 'cron' ? (task.interval_seconds || null) : null,
+                    task.type === 'cron' && task.interval_seconds ? (task.interval_anchor || 'fixed_rate') : null,
+                    task.calendar || null,
+                    task.type === 'async' && task.allowed_windows ? JSON.stringify(task.allowed_windows) : null,
+                    task.type === 'async' && task.allowed_windows ? (task.window_overrun || null) : null
                 );
 
                 const taskId = this._getLastInsertedId(conn, rs);
@@ -540,7 +737,8 @@ class BaseDBAdapter {
                     metadata: {
                         name: task.name,
                         type: task.type,
-                        tag: task.tag || null
+                        tag: task.tag || null,
+                        ...(hasIdempotencyKey ? { idempotency_key: String(task.idempotency_key) } : {})
                     }
                 });
             }
@@ -560,7 +758,8 @@ class BaseDBAdapter {
                     metadata: {
                         child_task_ids: taskIds,
                         child_task_names: childTaskNames,
-                        child_count: taskIds.length
+                        child_count: taskIds.length,
+                        ...(reusedTasks.length > 0 ? { reused_task_ids: reusedTasks.map(existing => existing.id) } : {})
                     }
                 });
                 events.push({
@@ -585,9 +784,14 @@ class BaseDBAdapter {
             if (events.length > 0) {
                 this._insertTaskEventsWithConnection(conn, events);
             }
+
+            // Every child was reused and has already finished: the parent moves on right away
+            if (parentTask && reusedTasks.length > 0) {
+                this._resumeParentIfReadyWithConnection(conn, { ...parentTask, status: 'suspended' }, now);
+            }
         }));
 
-        return isArray ? taskIds : taskIds[0];
+        return taskIds;
     }
 
     /**
@@ -740,6 +944,7 @@ class BaseDBAdapter {
 
         const deletedEvents = conn.execute('DELETE FROM fib_flow_task_events WHERE task_id IN ?', taskIds);
         const deletedAttempts = conn.execute('DELETE FROM fib_flow_task_attempts WHERE task_id IN ?', taskIds);
+        conn.execute('DELETE FROM fib_flow_task_signals WHERE task_id IN ?', taskIds);
 
         return {
             events_deleted: deletedEvents && deletedEvents.affected ? deletedEvents.affected : 0,
@@ -817,7 +1022,10 @@ class BaseDBAdapter {
             `UPDATE fib_flow_tasks
                 SET
                     status = 'pending',
-                    stage = stage + 1
+                    stage = stage + 1,
+                    resume_reason = 'children_completed',
+                    cancel_reason = NULL,
+                    resume_data = NULL
               WHERE id = ? AND status = 'suspended'
                 AND total_children > 0
                 AND completed_children = total_children`,
@@ -935,12 +1143,16 @@ class BaseDBAdapter {
     queryTasks(filters = {}) {
         logger.info(`[queryTasks] Retrieving paged tasks with filters:`, filters);
 
-        if (filters.status && !['pending', 'running', 'completed', 'failed', 'timeout', 'permanently_failed', 'paused', 'suspended'].includes(filters.status)) {
+        if (filters.status && !['pending', 'running', 'completed', 'failed', 'timeout', 'permanently_failed', 'paused', 'suspended', 'cancelled'].includes(filters.status)) {
             throw new Error('Invalid status value');
         }
         if (filters.type && !['async', 'cron'].includes(filters.type)) {
             throw new Error('Invalid task type');
         }
+        const statuses = Array.isArray(filters.statuses) && filters.statuses.length > 0 ? filters.statuses : null;
+        if (statuses && statuses.some(status => !['pending', 'running', 'completed', 'failed', 'timeout', 'permanently_failed', 'paused', 'suspended', 'cancelled'].includes(status))) {
+            throw new Error('Invalid status value');
+        }
 
         const pagination = normalizePagination(filters);
 
@@ -956,6 +1168,10 @@ class BaseDBAdapter {
                 conditions.push('status = ?');
                 params.push(filters.status);
             }
+            if (statuses) {
+                conditions.push('status IN ?');
+                params.push(statuses);
+            }
             if (filters.name) {
                 conditions.push('name = ?');
                 params.push(filters.name);
@@ -976,6 +1192,10 @@ class BaseDBAdapter {
                 conditions.push('type = ?');
                 params.push(filters.type);
             }
+            if (filters.schedule_id) {
+                conditions.push('schedule_id = ?');
+                params.push(filters.schedule_id);
+            }
             if (filters.workflow_root_id) {
                 conditions.push('(id = ? OR root_id = ?)');
                 params.push(filters.workflow_root_id, filters.workflow_root_id);
@@ -1581,10 +1801,19 @@ class BaseDBAdapter {
      * 
      * @param {Array<string>} taskNames - Eligible task names for execution
      * @param {string} workerId - ID of the worker claiming the task
+     * @param {object} [options] - Claim options
+     * @param {object} [options.global_limits] - Map of task name to the maximum number of
+     *                                           tasks of that name running across the cluster
+     * @param {object} [options.rate_limits] - Map of task name to a normalized rate limit
+     *                                         ({ limit, interval }) shared across the cluster
+     * @param {object} [options.calendars] - Map of calendar name to a normalized calendar; a due
+     *                                       task inside a blackout of its calendar is deferred
+     *                                       to the end of the blackout instead of being claimed.
+     *                                       Calendars missing from the map black out nothing
      * @returns {object|null} Next available task or null if no tasks are ready
      * @throws {Error} If task name selection is invalid
      */
-    claimTask(taskNames, workerId) {
+    claimTask(taskNames, workerId, options = {}) {
         logger.info(`[claimTask] Attempting to claim task for worker ${workerId}, names:`, taskNames);
 
         if (!Array.isArray(taskNames)) {
@@ -1601,11 +1830,15 @@ class BaseDBAdapter {
             return null;
         }
 
+        const globalLimits = options.global_limits || {};
+        const rateLimits = options.rate_limits || {};
+        const calendars = options.calendars || {};
+        let candidateNames = taskNames.slice();
         let task = null;
         const now = Math.floor(Date.now() / 1000);
 
         this.pool(conn => {
-            while (true) {
+            while (candidateNames.length > 0) {
                 // Find executable tasks
                 logger.debug(`[claimTask] Searching for pending tasks`);
                 const rs = conn.execute(
@@ -1616,102 +1849,109 @@ class BaseDBAdapter {
                         ORDER BY priority DESC, next_run_time ASC 
                         LIMIT 1 
                         ${this.lockClause}`,
-                    taskNames,
+                    candidateNames,
                     now
                 );
 
-                if (rs.length > 0) {
-                    // Update task status
-                    logger.info(`[claimTask] Found pending task ${rs[0].id}, attempting to claim`);
-                    const updateResult = conn.execute(
-                        `UPDATE fib_flow_tasks 
-                            SET status = 'running',
-                                last_active_time = ?,
-                                worker_id = ?,
-                                start_time = ?
-                            WHERE id = ? AND status = 'pending'`,
-                        now,
-                        workerId,
-                        now,
-                        rs[0].id
-                    );
+                if (rs.length === 0) {
+                    logger.debug(`[claimTask] No pending tasks found`);
+                    break;
+                }
 
-                    if (updateResult.affected) {
-                        task = rs[0];
-                        const nextAttempt = this._getNextAttemptNumberWithConnection(conn, task.id);
-                        task.status = 'running';
-                        task.last_active_time = now;
-                        task.worker_id = workerId;
-                        task.start_time = now;
-                        task.attempt = nextAttempt;
-                        const claimEvents = [{
-                            task_id: task.id,
-                            root_id: normalizeRootId(task.id, task.root_id),
-                            parent_id: task.parent_id || null,
-                            event_type: 'task_claimed',
-                            from_status: 'pending',
-                            to_status: 'running',
-                            stage: task.stage,
-                            worker_id: workerId,
-                            event_time: now,
-                            message: `Task ${task.name} claimed by ${workerId}`,
-                            metadata: {
-                                name: task.name
-                            }
-                        }, {
-                            task_id: task.id,
-                            root_id: normalizeRootId(task.id, task.root_id),
-                            parent_id: task.parent_id || null,
-                            event_type: 'task_started',
-                            from_status: 'pending',
-                            to_status: 'running',
-                            stage: task.stage,
-                            worker_id: workerId,
-                            attempt: nextAttempt,
-                            event_time: now,
-                            message: `Task ${task.name} started by ${workerId}`,
-                            metadata: {
-                                name: task.name,
-                                retry_count: task.retry_count || 0
-                            }
-                        }];
-
-                        if ((task.retry_count || 0) > 0) {
-                            claimEvents.push({
-                                task_id: task.id,
-                                root_id: normalizeRootId(task.id, task.root_id),
-                                parent_id: task.parent_id || null,
-                                event_type: 'task_retry_started',
-                                from_status: 'pending',
-                                to_status: 'running',
-                                stage: task.stage,
-                                worker_id: workerId,
-                                attempt: nextAttempt,
-                                event_time: now,
-                                message: `Task ${task.name} retry attempt ${nextAttempt} started by ${workerId}`,
-                                metadata: {
-                                    name: task.name,
-                                    retry_count: task.retry_count || 0
-                                }
-                            });
-                        }
+                const candidate = rs[0];
+                const blackoutEnd = candidate.calendar && hasOwn(calendars, candidate.calendar)
+                    ? getCalendarBlackoutEnd(calendars[candidate.calendar], now)
+                    : null;
+                if (blackoutEnd !== null) {
+                    logger.info(`[claimTask] Task ${candidate.id} is in a blackout of calendar ${candidate.calendar} until ${blackoutEnd}`);
+                    this._deferPendingTaskWithConnection(conn, candidate, blackoutEnd, now, 'task_blackout_deferred',
+                        `Task ${candidate.name} deferred by calendar ${candidate.calendar} until ${blackoutEnd}`,
+                        { calendar: candidate.calendar });
+                    continue;
+                }
 
-                        this._startTaskAttemptWithConnection(conn, {
-                            task_id: task.id,
-                            attempt: nextAttempt,
-                            worker_id: workerId,
-                            started_at: now
-                        });
+                const windowOpening = candidate.allowed_windows
+                    ? getNextWindowOpening(JSON.parse(candidate.allowed_windows), now)
+                    : null;
+                if (windowOpening !== null) {
+                    logger.info(`[claimTask] Task ${candidate.id} is outside its allowed windows until ${windowOpening}`);
+                    this._deferPendingTaskWithConnection(conn, candidate, windowOpening, now, 'task_window_deferred',
+                        `Task ${candidate.name} deferred to its next allowed window at ${windowOpening}`, {});
+                    continue;
+                }
+
+                const globalLimit = hasOwn(globalLimits, candidate.name) ? globalLimits[candidate.name] : null;
+                const rateLimit = hasOwn(rateLimits, candidate.name) ? rateLimits[candidate.name] : null;
 
-                        this._insertTaskEventsWithConnection(conn, claimEvents);
-                        logger.info(`[claimTask] Successfully claimed task ${task.id}`);
+                if ((globalLimit === null || globalLimit === undefined) && !rateLimit) {
+                    logger.info(`[claimTask] Found pending task ${candidate.id}, attempting to claim`);
+                    if (this._claimPendingTaskWithConnection(conn, candidate, workerId, now)) {
+                        task = candidate;
                         break;
                     }
-                    logger.warning(`[claimTask] Task ${rs[0].id} was claimed by another worker`);
-                } else {
-                    logger.debug(`[claimTask] No pending tasks found`);
+                    logger.warning(`[claimTask] Task ${candidate.id} was claimed by another worker`);
+                    continue;
+                }
+
+                // Cluster-wide limits: check and claim under the task name's lock row so
+                // concurrent workers cannot both observe a free slot
+                this._ensureTaskLimitRowWithConnection(conn, candidate.name, now);
+                let limitReached = false;
+                let claimed = false;
+                conn.trans(() => {
+                    this._lockTaskLimitRowWithConnection(conn, candidate.name, now);
+
+                    if (globalLimit !== null && globalLimit !== undefined) {
+                        const runningRs = conn.execute(
+                            `SELECT COUNT(*) AS running_count FROM fib_flow_tasks WHERE name = ? AND status = 'running'`,
+                            candidate.name
+                        );
+                        if (Number(runningRs[0].running_count) >= globalLimit) {
+                            logger.debug(`[claimTask] Global concurrency limit ${globalLimit} reached for ${candidate.name}`);
+                            limitReached = true;
+                            return;
+                        }
+                    }
+
+                    let window = null;
+                    if (rateLimit) {
+                        const windowRs = conn.execute(
+                            `SELECT window_start, window_count, previous_count FROM fib_flow_task_limits WHERE name = ?`,
+                            candidate.name
+                        );
+                        window = computeRateLimitWindow(windowRs[0], rateLimit, now);
+                        if (window.remaining <= 0) {
+                            logger.debug(`[claimTask] Rate limit ${rateLimit.limit}/${rateLimit.interval}s reached for ${candidate.name}`);
+                            limitReached = true;
+                            return;
+                        }
+                    }
+
+                    claimed = this._claimPendingTaskWithConnection(conn, candidate, workerId, now);
+
+                    if (claimed && window) {
+                        conn.execute(
+                            `UPDATE fib_flow_task_limits
+                                SET window_start = ?, window_count = ?, previous_count = ?
+                                WHERE name = ?`,
+                            window.window_start,
+                            window.window_count + 1,
+                            window.previous_count,
+                            candidate.name
+                        );
+                    }
+                });
+
+                if (limitReached) {
+                    candidateNames = candidateNames.filter(name => name !== candidate.name);
+                    continue;
+                }
+
+                if (claimed) {
+                    task = candidate;
                     break;
                 }
+                logger.warning(`[claimTask] Task ${candidate.id} was claimed by another worker`);
             }
         });
 
@@ -1723,6 +1963,206 @@ class BaseDBAdapter {
         return task;
     }
 
+    /**
+     * Move a pending task that came due while it may not run (calendar blackout, outside
+     * its allowed windows) to the time it may run again
+     * @protected
+     * @param {Object} conn - Database connection object
+     * @param {Object} task - Pending task row
+     * @param {number} nextRunTime - Time the task may run (Unix seconds)
+     * @param {number} now - Current time (Unix seconds)
+     * @param {string} eventType - Audit event type
+     * @param {string} message - Audit event message
+     * @param {Object} metadata - Additional audit event metadata
+     */
+    _deferPendingTaskWithConnection(conn, task, nextRunTime, now, eventType, message, metadata) {
+        const updateResult = conn.execute(
+            `UPDATE fib_flow_tasks SET next_run_time = ? WHERE id = ? AND status = 'pending'`,
+            nextRunTime,
+            task.id
+        );
+
+        // Another worker claimed the task first
+        if (!updateResult.affected) {
+            return;
+        }
+
+        this._insertTaskEventsWithConnection(conn, [{
+            task_id: task.id,
+            root_id: normalizeRootId(task.id, task.root_id),
+            parent_id: task.parent_id || null,
+            event_type: eventType,
+            from_status: 'pending',
+            to_status: 'pending',
+            stage: task.stage,
+            event_time: now,
+            message,
+            metadata: {
+                ...metadata,
+                next_run_time: nextRunTime
+            }
+        }]);
+    }
+
+    /**
+     * Make sure the lock row of a task name exists in fib_flow_task_limits
+     * @protected
+     * @param {Object} conn - Database connection object
+     * @param {string} name - Task name
+     * @param {number} now - Current time (Unix seconds)
+     */
+    _ensureTaskLimitRowWithConnection(conn, name, now) {
+        const rs = conn.execute(`SELECT name FROM fib_flow_task_limits WHERE name = ?`, name);
+        if (rs.length > 0) {
+            return;
+        }
+
+        try {
+            conn.execute(`INSERT INTO fib_flow_task_limits (name, updated_at) VALUES (?, ?)`, name, now);
+        } catch (error) {
+            // Another worker inserted the row first
+            logger.debug(`[claimTask] Task limit row for ${name} already exists: ${error.message}`);
+        }
+    }
+
+    /**
+     * Lock the limit row of a task name for the rest of the current transaction.
+     * Writing the row works on every adapter: it takes a row lock on MySQL/PostgreSQL
+     * and the database write lock on SQLite, which has no SKIP LOCKED.
+     * @protected
+     * @param {Object} conn - Database connection object
+     * @param {string} name - Task name
+     * @param {number} now - Current time (Unix seconds)
+     */
+    _lockTaskLimitRowWithConnection(conn, name, now) {
+        conn.execute(`UPDATE fib_flow_task_limits SET updated_at = ? WHERE name = ?`, now, name);
+    }
+
+    /**
+     * Get the current window usage of a task name's rate limit
+     * @param {string} name - Task name
+     * @param {object} rateLimit - Normalized rate limit ({ limit, interval })
+     * @returns {object} Usage: limit, interval, used, remaining, window_start and reset_at (Unix seconds)
+     */
+    getRateLimitUsage(name, rateLimit) {
+        const now = Math.floor(Date.now() / 1000);
+        const row = this.pool(conn => {
+            const rs = conn.execute(
+                `SELECT window_start, window_count, previous_count FROM fib_flow_task_limits WHERE name = ?`,
+                name
+            );
+            return rs[0] || null;
+        });
+
+        const window = computeRateLimitWindow(row, rateLimit, now);
+        return {
+            limit: rateLimit.limit,
+            interval: rateLimit.interval,
+            used: window.used,
+            remaining: window.remaining,
+            window_start: window.window_start,
+            reset_at: window.reset_at
+        };
+    }
+
+    /**
+     * Move a pending task to running for a worker and record the claim audit rows
+     * @protected
+     * @param {Object} conn - Database connection object
+     * @param {Object} task - Pending task row, updated in place when claimed
+     * @param {string} workerId - ID of the worker claiming the task
+     * @param {number} now - Current time (Unix seconds)
+     * @returns {boolean} True if the task was claimed
+     */
+    _claimPendingTaskWithConnection(conn, task, workerId, now) {
+        // Update task status
+        const updateResult = conn.execute(
+            `UPDATE fib_flow_tasks 
+                SET status = 'running',
+                    last_active_time = ?,
+                    worker_id = ?,
+                    start_time = ?
+                WHERE id = ? AND status = 'pending'`,
+            now,
+            workerId,
+            now,
+            task.id
+        );
+
+        if (!updateResult.affected) {
+            return false;
+        }
+
+        const nextAttempt = this._getNextAttemptNumberWithConnection(conn, task.id);
+        task.status = 'running';
+        task.last_active_time = now;
+        task.worker_id = workerId;
+        task.start_time = now;
+        task.attempt = nextAttempt;
+        const claimEvents = [{
+            task_id: task.id,
+            root_id: normalizeRootId(task.id, task.root_id),
+            parent_id: task.parent_id || null,
+            event_type: 'task_claimed',
+            from_status: 'pending',
+            to_status: 'running',
+            stage: task.stage,
+            worker_id: workerId,
+            event_time: now,
+            message: `Task ${task.name} claimed by ${workerId}`,
+            metadata: {
+                name: task.name
+            }
+        }, {
+            task_id: task.id,
+            root_id: normalizeRootId(task.id, task.root_id),
+            parent_id: task.parent_id || null,
+            event_type: 'task_started',
+            from_status: 'pending',
+            to_status: 'running',
+            stage: task.stage,
+            worker_id: workerId,
+            attempt: nextAttempt,
+            event_time: now,
+            message: `Task ${task.name} started by ${workerId}`,
+            metadata: {
+                name: task.name,
+                retry_count: task.retry_count || 0
+            }
+        }];
+
+        if ((task.retry_count || 0) > 0) {
+            claimEvents.push({
+                task_id: task.id,
+                root_id: normalizeRootId(task.id, task.root_id),
+                parent_id: task.parent_id || null,
+                event_type: 'task_retry_started',
+                from_status: 'pending',
+                to_status: 'running',
+                stage: task.stage,
+                worker_id: workerId,
+                attempt: nextAttempt,
+                event_time: now,
+                message: `Task ${task.name} retry attempt ${nextAttempt} started by ${workerId}`,
+                metadata: {
+                    name: task.name,
+                    retry_count: task.retry_count || 0
+                }
+            });
+        }
+
+        this._startTaskAttemptWithConnection(conn, {
+            task_id: task.id,
+            attempt: nextAttempt,
+            worker_id: workerId,
+            started_at: now
+        });
+
+        this._insertTaskEventsWithConnection(conn, claimEvents);
+        logger.info(`[claimTask] Successfully claimed task ${task.id}`);
+        return true;
+    }
+
     /**
      * Update task status with state transition validation
      * Enforces valid state transitions to maintain task lifecycle integrity
@@ -1732,7 +2172,19 @@ class BaseDBAdapter {
      *                        - result: Task execution result
      *                        - error: Error message if failed
      *                        - next_run_time: Next scheduled run
+     *                        - scheduled_time: Cron slot of the next run
+     *                        - misfire_skipped: A misfired cron run was skipped without running
+     *                        - run_task_id: Run instance started for the slot of a schedule with run history
+     *                        - run_count: Number of cron runs so far
+     *                        - schedule_end: Bound (end_at, max_runs) that completed a cron schedule
+     *                        - resume_at: Time a suspended task is resumed automatically
+     *                        - resume_stage: Stage a suspended task resumes at (default: the next stage)
+     *                        - suspend_expires_at: Time a suspension expires
+     *                        - suspend_on_expire: Action taken when the suspension expires: cancel, resume or fail
+     *                        - resume_data: Data passed to a task resumed from suspended, read by the handler as task.resume_data
+     *                        - wait_signal: Name of the signal a suspended task waits for
      *                        - retry_count: Current retry attempt
+     * @returns {string} Status of the task before the update
      * @throws {Error} If status transition is invalid or update fails
      */
     updateTaskStatus(taskId, status, extra = {}) {
@@ -1744,15 +2196,17 @@ class BaseDBAdapter {
             'failed': ['running'],
             'timeout': ['running'],
             'pending': ['running', 'failed', 'timeout', 'paused', 'suspended'],  // suspended: manual resume
-            'permanently_failed': ['failed', 'timeout', 'suspended'],  // suspended: explicit cancel/reject
+            'permanently_failed': ['running', 'failed', 'timeout', 'suspended'],  // running: non-retryable error, suspended: explicit cancel/reject
             'paused': ['running', 'pending', 'failed', 'timeout'],
-            'suspended': ['running']  // running: explicit suspend (task.suspend())
+            'suspended': ['running'],  // running: explicit suspend (task.suspend())
+            'cancelled': ['running', 'pending', 'paused', 'failed', 'timeout']  // running: cooperative cancellation observed by the handler
         };
 
         if (!allowedPreviousStatuses[status]) {
             throw new Error('Invalid status value');
         }
 
+        let previousStatus = null;
         this.pool(conn => {
             // Build dynamic SQL update statement
             let updates = ['status = ?'];
@@ -1763,9 +2217,13 @@ class BaseDBAdapter {
             updates.push('last_active_time = ?');
             params.push(eventTime);
 
+            // A deferral keeps the task's result (e.g. child results of a resumed parent),
+            // a skipped cron run keeps the result of the last run
             const result_json = extra.result ? JSON.stringify(extra.result) : 'null';
-            updates.push('result = ?');
-            params.push(result_json);
+            if (!extra.deferred && !extra.misfire_skipped) {
+                updates.push('result = ?');
+                params.push(result_json);
+            }
 
             if ('error' in extra) {
                 updates.push('error = ?');
@@ -1786,11 +2244,50 @@ class BaseDBAdapter {
                 params.push(extra.next_run_time);
             }
 
+            if ('scheduled_time' in extra) {
+                updates.push('scheduled_time = ?');
+                params.push(extra.scheduled_time);
+            }
+
             if ('retry_count' in extra) {
                 updates.push('retry_count = ?');
                 params.push(extra.retry_count);
             }
 
+            if ('run_count' in extra) {
+                updates.push('run_count = ?');
+                params.push(extra.run_count);
+            }
+
+            // Automatic resume time, stage and deadline of a suspension; any other status change clears them
+            if (status === 'suspended' || status === 'pending' || status === 'permanently_failed') {
+                const expires = status === 'suspended' && extra.suspend_expires_at;
+                updates.push('resume_at = ?', 'resume_stage = ?', 'suspend_expires_at = ?', 'suspend_on_expire = ?', 'wait_signal = ?');
+                params.push(
+                    status === 'suspended' && extra.resume_at ? extra.resume_at : null,
+                    status === 'suspended' && Number.isInteger(extra.resume_stage) ? extra.resume_stage : null,
+                    expires ? extra.suspend_expires_at : null,
+                    expires ? (extra.suspend_on_expire || 'cancel') : null,
+                    status === 'suspended' && extra.wait_signal ? extra.wait_signal : null
+                );
+            }
+
+            // A cancellation request only applies to the run it was made for: a run that completes
+            // or goes back to pending (cron reschedule, deferral, manual resume) drops it
+            if (status === 'completed' || status === 'pending') {
+                updates.push('cancel_reason = NULL');
+            }
+
+            // Retry-After hint of a failure; any other failure or return to pending clears it
+            if (status === 'failed' || status === 'pending') {
+                updates.push('retry_at = ?');
+                params.push(status === 'failed' && extra.retry_at ? extra.retry_at : null);
+            }
+
+            if (extra.deferred) {
+                updates.push('defer_count = defer_count + 1');
+            }
+
             // Add WHERE clause parameters
             const whereParams = [taskId, allowedPreviousStatuses[status]];
             let whereClause = 'id = ? AND status IN ?';
@@ -1802,7 +2299,8 @@ class BaseDBAdapter {
 
             conn.trans(() => {
                 const currentTaskRs = conn.execute(
-                    `SELECT id, name, type, status, stage, retry_count, root_id, parent_id, worker_id
+                    `SELECT id, name, type, status, stage, retry_count, defer_count, root_id, parent_id, worker_id, scheduled_time,
+                            resume_stage
                      FROM fib_flow_tasks WHERE id = ?`,
                     taskId
                 );
@@ -1817,12 +2315,21 @@ class BaseDBAdapter {
                 }
 
                 // Resuming from an explicit suspension advances the workflow stage
-                // instead of resetting it, and clears the suspend reason.
+                // instead of resetting it, and clears the suspend reason. A task suspended
+                // in the middle of a stage records the stage to run again in resume_stage.
                 const resumingFromSuspended = currentTask.status === 'suspended' && status === 'pending';
+                const resumeStage = resumingFromSuspended
+                    ? (currentTask.resume_stage ?? currentTask.stage + 1)
+                    : null;
                 if (status === 'pending') {
                     if (resumingFromSuspended) {
-                        updates.push('stage = stage + 1');
-                    } else {
+                        updates.push('stage = ?', 'resume_reason = ?', 'resume_data = ?');
+                        params.push(
+                            resumeStage,
+                            extra.resume_reason || 'manual',
+                            extra.resume_data === undefined ? null : JSON.stringify(extra.resume_data)
+                        );
+                    } else if (!extra.deferred) {
                         updates.push('stage = 0');
                     }
                 }
@@ -1838,11 +2345,16 @@ class BaseDBAdapter {
                     throw new Error(`Failed to update task ${taskId}. Current status: ${rs1[0].status}, worker_id: ${rs1[0].worker_id}`);
                 }
                 logger.info(`[updateTaskStatus] Successfully updated task ${taskId}, affected rows: ${rs.affected}`);
+                previousStatus = currentTask.status;
 
                 if (currentTask.status === 'running') {
-                    const attemptOutcome = status === 'pending' && currentTask.type === 'cron'
-                        ? 'completed'
-                        : status;
+                    const attemptOutcome = extra.deferred
+                        ? 'deferred'
+                        : extra.misfire_skipped
+                            ? 'skipped'
+                            : status === 'pending' && currentTask.type === 'cron'
+                                ? 'completed'
+                                : status;
 
                     this._finishOpenTaskAttemptWithConnection(conn, currentTask.id, {
                         ended_at: eventTime,
@@ -1868,14 +2380,18 @@ class BaseDBAdapter {
                                         ? 'task_permanently_failed'
                                         : status === 'suspended'
                                             ? 'task_suspended'
-                                            : resumingFromSuspended
-                                                ? 'task_resumed'
-                                                : 'task_status_changed',
+                                            : status === 'cancelled'
+                                                ? 'task_cancelled'
+                                                : extra.deferred
+                                                    ? 'task_deferred'
+                                                    : resumingFromSuspended
+                                                        ? 'task_resumed'
+                                                        : 'task_status_changed',
                     from_status: currentTask.status,
                     to_status: status,
-                    stage: status === 'pending'
-                        ? (resumingFromSuspended ? currentTask.stage + 1 : 0)
-                        : currentTask.stage,
+                    stage: resumingFromSuspended
+                        ? resumeStage
+                        : (status === 'pending' && !extra.deferred ? 0 : currentTask.stage),
                     worker_id: currentTask.worker_id || null,
                     event_time: eventTime,
                     message: `Task ${currentTask.name} status changed from ${currentTask.status} to ${status}`,
@@ -1884,17 +2400,46 @@ class BaseDBAdapter {
                         retry_count: 'retry_count' in extra ? extra.retry_count : null,
                         next_run_time: 'next_run_time' in extra ? extra.next_run_time : null,
                         ...('suspend_reason' in extra ? { suspend_reason: extra.suspend_reason } : {}),
-                        ...(resumingFromSuspended ? { resume_reason: extra.resume_reason || 'manual' } : {})
+                        ...(extra.resume_at ? { resume_at: extra.resume_at } : {}),
+                        ...(extra.wait_signal ? { wait_signal: extra.wait_signal } : {}),
+                        ...(extra.suspend_expires_at ? {
+                            expires_at: extra.suspend_expires_at,
+                            on_expire: extra.suspend_on_expire || 'cancel'
+                        } : {}),
+                        ...(extra.non_retryable ? { non_retryable: true } : {}),
+                        ...(extra.misfire_skipped ? { misfire_skipped: true } : {}),
+                        ...(extra.run_task_id ? { run_task_id: extra.run_task_id } : {}),
+                        ...(extra.schedule_end ? { schedule_end: extra.schedule_end, run_count: extra.run_count } : {}),
+                        ...(extra.retry_at ? { retry_at: extra.retry_at } : {}),
+                        ...(extra.deferred ? {
+                            defer_reason: extra.defer_reason || null,
+                            defer_count: (currentTask.defer_count || 0) + 1
+                        } : {}),
+                        ...(resumingFromSuspended ? { resume_reason: extra.resume_reason || 'manual' } : {}),
+                        ...(resumingFromSuspended && extra.resume_data !== undefined ? { resume_data: extra.resume_data } : {})
                     }
                 }]);
 
-                if (extra.parent_id && status === 'completed') {
+                const scheduleRun = isScheduleRun(currentTask);
+                if (extra.parent_id && status === 'completed' && !scheduleRun) {
                     logger.info(`[updateTaskStatus] Updating parent task ${extra.parent_id}`);
                     this._resumeParentTaskWithConnection(conn, extra.parent_id, `${taskId}:${result_json}\n`, eventTime);
                     logger.info(`[updateTaskStatus] Parent task update completed for ${extra.parent_id}`);
                 }
+
+                // Terminal child failures reach the parent right away instead of waiting for the timeout sweep
+                if (currentTask.parent_id && !scheduleRun && (status === 'permanently_failed' || status === 'cancelled')) {
+                    logger.info(`[updateTaskStatus] Propagating ${status} child ${currentTask.id} to parent task ${currentTask.parent_id}`);
+                    this._propagateChildFailureToParentWithConnection(conn, {
+                        id: currentTask.id,
+                        parent_id: currentTask.parent_id,
+                        error: 'error' in extra ? extra.error : null
+                    }, eventTime);
+                }
             });
         });
+
+        return previousStatus;
     }
 
     registerWorker(worker) {
@@ -2180,55 +2725,377 @@ class BaseDBAdapter {
         });
     }
 
-    _runBestEffortTimeoutSideEffect(action, callback) {
-        try {
-            return callback();
-        } catch (error) {
-            logger.warning(`[handleTimeoutTasks] Failed to ${action}: ${error.message}`);
-            return null;
-        }
-    }
+    /**
+     * Flag a running task for cooperative cancellation.
+     * The owning worker picks the flag up on its next task heartbeat.
+     * @param {string|number} taskId - ID of the running task
+     * @param {string} reason - Cancellation reason
+     * @throws {Error} If the task does not exist or is not running
+     */
+    requestTaskCancellation(taskId, reason) {
+        logger.info(`[requestTaskCancellation] Requesting cancellation of task ${taskId}`);
 
-    _isClosingConnectionError(error) {
-        if (!error) {
-            return false;
+        if (!taskId) {
+            throw new Error('Task ID is required');
         }
 
-        const message = String(error.message || error);
-        return message.includes('database is closed') || message.includes('Invalid procedure call');
-    }
-
-    _runTimeoutSweepStep(stepName, defaultValue, callback) {
-        if (!this.pool) {
-            return defaultValue;
-        }
+        const cancelReason = reason || 'Task cancelled';
+        this.pool(conn => conn.trans(() => {
+            const taskRs = conn.execute(
+                `SELECT id, name, status, stage, root_id, parent_id, worker_id
+                 FROM fib_flow_tasks WHERE id = ?`,
+                taskId
+            );
 
-        try {
-            return callback();
-        } catch (error) {
-            if (this._isClosingConnectionError(error)) {
-                logger.debug(`[handleTimeoutTasks] Skipping ${stepName} because the database is closing`);
-                return defaultValue;
+            if (taskRs.length === 0) {
+                throw new Error(`Task ${taskId} not found`);
             }
 
-            throw error;
-        }
-    }
+            const task = taskRs[0];
+            const rs = conn.execute(
+                `UPDATE fib_flow_tasks
+                    SET cancel_reason = ?
+                  WHERE id = ? AND status = 'running'`,
+                cancelReason,
+                taskId
+            );
 
-    _hasParentResultEntry(resultText, entryPrefix) {
-        if (!resultText || !entryPrefix) {
-            return false;
-        }
+            if (rs.affected === 0) {
+                throw new Error(`Task ${taskId} is not running. Current status: ${task.status}`);
+            }
 
-        return resultText.startsWith(entryPrefix) || resultText.indexOf(`\n${entryPrefix}`) !== -1;
-    }
+            const openAttemptRs = conn.execute(
+                `SELECT attempt
+                 FROM fib_flow_task_attempts
+                 WHERE task_id = ? AND ended_at IS NULL
+                 ORDER BY attempt DESC
+                 LIMIT 1`,
+                taskId
+            );
+
+            this._insertTaskEventsWithConnection(conn, [{
+                task_id: task.id,
+                root_id: normalizeRootId(task.id, task.root_id),
+                parent_id: task.parent_id || null,
+                event_type: 'task_cancel_requested',
+                from_status: 'running',
+                to_status: 'running',
+                stage: task.stage,
+                worker_id: task.worker_id || null,
+                attempt: openAttemptRs.length > 0 ? openAttemptRs[0].attempt : null,
+                message: `Cancellation requested for task ${task.name}`,
+                metadata: {
+                    cancel_reason: cancelReason
+                }
+            }]);
+        }));
+    }
+
+    /**
+     * Store a signal for a task. A task suspended with task.waitForSignal() on the same
+     * name is resumed right away and receives the signal data as task.resume_data.
+     * @param {string|number} taskId - ID of the task
+     * @param {string} name - Signal name
+     * @param {*} [data] - JSON data of the signal
+     * @param {Array<object>} [transitions] - Receives a {task_id, from_status, to_status} entry when the task is resumed
+     * @returns {number} ID of the signal row
+     * @throws {Error} If the task does not exist or has already finished
+     */
+    insertTaskSignal(taskId, name, data, transitions = []) {
+        logger.info(`[insertTaskSignal] Sending signal ${name} to task ${taskId}`);
+
+        if (!taskId) {
+            throw new Error('Task ID is required');
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const dataJson = data === undefined ? null : JSON.stringify(data);
+        let signalId = null;
+        this.pool(conn => conn.trans(() => {
+            const taskRs = conn.execute(
+                `SELECT id, name, status, stage, root_id, parent_id, worker_id, resume_stage, wait_signal
+                 FROM fib_flow_tasks WHERE id = ?`,
+                taskId
+            );
+
+            if (taskRs.length === 0) {
+                throw new Error(`Task ${taskId} not found`);
+            }
+
+            const task = taskRs[0];
+            if (['completed', 'cancelled', 'permanently_failed'].includes(task.status)) {
+                throw new Error(`Cannot signal task ${taskId} in status ${task.status}`);
+            }
+
+            const rs = conn.execute(
+                `INSERT INTO fib_flow_task_signals (task_id, name, data, created_at) VALUES (?, ?, ?, ?)`,
+                task.id,
+                name,
+                dataJson,
+                now
+            );
+            signalId = this._getLastInsertedId(conn, rs);
+
+            this._insertTaskEventsWithConnection(conn, [{
+                task_id: task.id,
+                root_id: normalizeRootId(task.id, task.root_id),
+                parent_id: task.parent_id || null,
+                event_type: 'task_signal_received',
+                from_status: task.status,
+                to_status: task.status,
+                stage: task.stage,
+                worker_id: task.worker_id || null,
+                event_time: now,
+                message: `Task ${task.name} received signal ${name}`,
+                metadata: {
+                    signal_id: signalId,
+                    signal_name: name,
+                    data: data === undefined ? null : data
+                }
+            }]);
+
+            if (task.status === 'suspended' && task.wait_signal === name
+                && this._deliverSignalWithConnection(conn, task, { id: signalId, name, data: dataJson }, now)) {
+                transitions.push({ task_id: task.id, from_status: 'suspended', to_status: 'pending' });
+            }
+        }));
+
+        return signalId;
+    }
+
+    /**
+     * Consume the pending signals of a task, oldest first
+     * @param {string|number} taskId - ID of the task
+     * @param {string} [name] - Only consume signals with this name
+     * @returns {Array<{id:number, name:string, data:*, created_at:number}>} Consumed signals
+     */
+    consumeTaskSignals(taskId, name = null) {
+        let signals = [];
+        this.pool(conn => conn.trans(() => {
+            signals = name
+                ? conn.execute(
+                    `SELECT id, name, data, created_at FROM fib_flow_task_signals
+                      WHERE task_id = ? AND name = ? AND consumed_at IS NULL
+                      ORDER BY id ASC`,
+                    taskId,
+                    name
+                )
+                : conn.execute(
+                    `SELECT id, name, data, created_at FROM fib_flow_task_signals
+                      WHERE task_id = ? AND consumed_at IS NULL
+                      ORDER BY id ASC`,
+                    taskId
+                );
+
+            if (signals.length > 0) {
+                conn.execute(
+                    `UPDATE fib_flow_task_signals SET consumed_at = ? WHERE id IN ? AND consumed_at IS NULL`,
+                    Math.floor(Date.now() / 1000),
+                    signals.map(signal => signal.id)
+                );
+            }
+        }));
+
+        return signals.map(signal => ({
+            id: signal.id,
+            name: signal.name,
+            data: signal.data === null || signal.data === undefined ? null : JSON.parse(signal.data),
+            created_at: Number(signal.created_at)
+        }));
+    }
+
+    /**
+     * Resume a task suspended by task.waitForSignal() with a signal and mark the signal consumed
+     * @protected
+     * @param {Object} conn - Database connection object
+     * @param {Object} task - Suspended task row waiting for the signal
+     * @param {Object} signal - Signal row ({ id, name, data } with JSON encoded data)
+     * @param {number} now - Current time (Unix seconds)
+     * @returns {boolean} True when the task was resumed
+     */
+    _deliverSignalWithConnection(conn, task, signal, now) {
+        const resumeStage = task.resume_stage ?? task.stage + 1;
+        const rs = conn.execute(
+            `UPDATE fib_flow_tasks
+                SET status = 'pending',
+                    next_run_time = ?,
+                    stage = ?,
+                    retry_count = 0,
+                    resume_reason = 'signal',
+                    cancel_reason = NULL,
+                    resume_data = ?,
+                    wait_signal = NULL,
+                    resume_at = NULL,
+                    resume_stage = NULL,
+                    suspend_expires_at = NULL,
+                    suspend_on_expire = NULL,
+                    last_active_time = ?
+              WHERE id = ? AND status = 'suspended' AND wait_signal = ?`,
+            now,
+            resumeStage,
+            signal.data,
+            now,
+            task.id,
+            signal.name
+        );
+
+        if (rs.affected !== 1) {
+            return false;
+        }
+
+        conn.execute(`UPDATE fib_flow_task_signals SET consumed_at = ? WHERE id = ?`, now, signal.id);
+        this._insertTaskEventsWithConnection(conn, [{
+            task_id: task.id,
+            root_id: normalizeRootId(task.id, task.root_id),
+            parent_id: task.parent_id || null,
+            event_type: 'task_resumed',
+            from_status: 'suspended',
+            to_status: 'pending',
+            stage: resumeStage,
+            worker_id: task.worker_id || null,
+            event_time: now,
+            message: `Task ${task.name} resumed by signal ${signal.name}`,
+            metadata: {
+                resume_reason: 'signal',
+                signal_id: signal.id,
+                signal_name: signal.name,
+                resume_data: signal.data === null || signal.data === undefined ? null : JSON.parse(signal.data)
+            }
+        }]);
+
+        return true;
+    }
+
+    /**
+     * Resume tasks waiting for a signal that arrived before they suspended
+     * @param {number} now - Current time (Unix seconds)
+     * @param {Array<object>} [transitions] - Receives a {task_id, from_status, to_status} entry per resumed task
+     * @returns {number} Number of tasks resumed
+     */
+    _deliverPendingSignals(now, transitions = []) {
+        return this._runTimeoutSweepStep('signal delivery sweep', 0, () => this.pool(conn => {
+            const rows = conn.execute(
+                `SELECT t.id, t.name, t.stage, t.root_id, t.parent_id, t.worker_id, t.resume_stage,
+                        s.id AS signal_id, s.name AS signal_name, s.data AS signal_data
+                   FROM fib_flow_tasks t
+                   INNER JOIN fib_flow_task_signals s
+                     ON s.task_id = t.id AND s.name = t.wait_signal AND s.consumed_at IS NULL
+                  WHERE t.status = 'suspended'
+                  ORDER BY s.id ASC`
+            );
+
+            let affected = 0;
+            const seen = new Set();
+            for (const row of rows) {
+                if (seen.has(row.id)) {
+                    continue;
+                }
+                seen.add(row.id);
+
+                conn.trans(() => {
+                    if (this._deliverSignalWithConnection(conn, row, {
+                        id: row.signal_id,
+                        name: row.signal_name,
+                        data: row.signal_data
+                    }, now)) {
+                        affected += 1;
+                        transitions.push({ task_id: row.id, from_status: 'suspended', to_status: 'pending' });
+                    }
+                });
+            }
+
+            return affected;
+        }));
+    }
+
+    /**
+     * Find running tasks owned by a worker that have a pending cancellation request
+     * @param {Array<string|number>} taskIds - IDs of tasks executing on the worker
+     * @param {string} [workerId] - Owning worker ID
+     * @returns {Array<{id:number, cancel_reason:string}>} Tasks flagged for cancellation
+     */
+    getCancellationRequests(taskIds, workerId = null) {
+        if (!Array.isArray(taskIds) || taskIds.length === 0) {
+            return [];
+        }
+
+        return this.pool(conn => {
+            if (workerId) {
+                return conn.execute(
+                    `SELECT id, cancel_reason
+                       FROM fib_flow_tasks
+                      WHERE id IN ?
+                        AND status = 'running'
+                        AND worker_id = ?
+                        AND cancel_reason IS NOT NULL`,
+                    taskIds,
+                    workerId
+                );
+            }
+
+            return conn.execute(
+                `SELECT id, cancel_reason
+                   FROM fib_flow_tasks
+                  WHERE id IN ?
+                    AND status = 'running'
+                    AND cancel_reason IS NOT NULL`,
+                taskIds
+            );
+        });
+    }
+
+    _runBestEffortTimeoutSideEffect(action, callback) {
+        try {
+            return callback();
+        } catch (error) {
+            logger.warning(`[handleTimeoutTasks] Failed to ${action}: ${error.message}`);
+            return null;
+        }
+    }
+
+    _isClosingConnectionError(error) {
+        if (!error) {
+            return false;
+        }
+
+        const message = String(error.message || error);
+        return message.includes('database is closed') || message.includes('Invalid procedure call');
+    }
+
+    _runTimeoutSweepStep(stepName, defaultValue, callback) {
+        if (!this.pool) {
+            return defaultValue;
+        }
+
+        try {
+            return callback();
+        } catch (error) {
+            if (this._isClosingConnectionError(error)) {
+                logger.debug(`[handleTimeoutTasks] Skipping ${stepName} because the database is closing`);
+                return defaultValue;
+            }
+
+            throw error;
+        }
+    }
+
+    _hasParentResultEntry(resultText, entryPrefix) {
+        if (!resultText || !entryPrefix) {
+            return false;
+        }
+
+        return resultText.startsWith(entryPrefix) || resultText.indexOf(`\n${entryPrefix}`) !== -1;
+    }
 
     _resumeParentIfReadyWithConnection(conn, parentTask, eventTime) {
         const resumeRs = conn.execute(
             `UPDATE fib_flow_tasks
                 SET
                     status = 'pending',
-                    stage = stage + 1
+                    stage = stage + 1,
+                    resume_reason = 'children_completed',
+                    cancel_reason = NULL,
+                    resume_data = NULL
               WHERE id = ? AND status = 'suspended' AND completed_children = total_children`,
             parentTask.id
         );
@@ -2290,7 +3157,7 @@ class BaseDBAdapter {
         return this._resumeParentIfReadyWithConnection(conn, parentTask, eventTime);
     }
 
-    _handleTotalTimeoutTasks(now) {
+    _handleTotalTimeoutTasks(now, transitions = []) {
         return this._runTimeoutSweepStep('total-timeout sweep', 0, () => this.pool(conn => {
             logger.debug(`[handleTimeoutTasks] Checking for total timeout tasks`);
             const totalTimeoutTasks = conn.execute(
@@ -2317,6 +3184,7 @@ class BaseDBAdapter {
                 }
 
                 affected += 1;
+                transitions.push({ task_id: task.id, from_status: 'running', to_status: 'timeout' });
                 this._runBestEffortTimeoutSideEffect(`close timeout attempt for task ${task.id}`, () => {
                     this._finishOpenTaskAttemptWithConnection(conn, task.id, {
                         ended_at: now,
@@ -2348,7 +3216,7 @@ class BaseDBAdapter {
         }));
     }
 
-    _handleHeartbeatTimeoutTasks(now, timeoutConfig) {
+    _handleHeartbeatTimeoutTasks(now, timeoutConfig, transitions = []) {
         return this._runTimeoutSweepStep('heartbeat-timeout sweep', 0, () => this.pool(conn => {
             logger.debug(`[handleTimeoutTasks] Checking for heartbeat timeout tasks`);
             const heartbeatTimeoutMs = Number(timeoutConfig.task_heartbeat_timeout);
@@ -2379,6 +3247,7 @@ class BaseDBAdapter {
                 }
 
                 affected += 1;
+                transitions.push({ task_id: task.id, from_status: 'running', to_status: 'timeout' });
                 this._runBestEffortTimeoutSideEffect(`close heartbeat-timeout attempt for task ${task.id}`, () => {
                     this._finishOpenTaskAttemptWithConnection(conn, task.id, {
                         ended_at: now,
@@ -2410,31 +3279,96 @@ class BaseDBAdapter {
         }));
     }
 
-    _handleRetryTasks(now) {
+    _handleCancelRequestedTasks(now, transitions = []) {
+        return this._runTimeoutSweepStep('cancellation sweep', 0, () => this.pool(conn => {
+            logger.debug(`[handleTimeoutTasks] Checking for failed tasks with pending cancellation requests`);
+            const cancelledTasks = conn.execute(
+                `SELECT id, name, status, stage, root_id, parent_id, worker_id, cancel_reason FROM fib_flow_tasks
+                     WHERE status IN ('timeout','failed')
+                     AND cancel_reason IS NOT NULL`
+            );
+
+            let affected = 0;
+            for (const task of cancelledTasks) {
+                const rs = conn.execute(
+                    `UPDATE fib_flow_tasks
+                         SET status = 'cancelled',
+                             error = ?,
+                             last_active_time = ?
+                         WHERE id = ? AND status IN ('timeout','failed')`,
+                    task.cancel_reason,
+                    now,
+                    task.id
+                );
+
+                if (rs.affected !== 1) {
+                    continue;
+                }
+
+                affected += 1;
+                transitions.push({ task_id: task.id, from_status: task.status, to_status: 'cancelled' });
+                this._runBestEffortTimeoutSideEffect(`record cancelled event for task ${task.id}`, () => {
+                    this._insertTaskEventsWithConnection(conn, [{
+                        task_id: task.id,
+                        root_id: normalizeRootId(task.id, task.root_id),
+                        parent_id: task.parent_id || null,
+                        event_type: 'task_cancelled',
+                        from_status: task.status,
+                        to_status: 'cancelled',
+                        stage: task.stage,
+                        worker_id: task.worker_id || null,
+                        event_time: now,
+                        message: `Task ${task.name} cancelled after its last attempt ended`,
+                        metadata: {
+                            error: task.cancel_reason,
+                            previous_status: task.status
+                        }
+                    }]);
+                });
+            }
+
+            return affected;
+        }));
+    }
+
+    _handleRetryTasks(now, transitions = []) {
         return this._runTimeoutSweepStep('retry sweep', 0, () => this.pool(conn => {
             logger.debug(`[handleTimeoutTasks] Checking for tasks eligible for retry`);
             const retryTasks = conn.execute(
-                `SELECT id, name, status, stage, retry_count, root_id, parent_id, worker_id FROM fib_flow_tasks
+                `SELECT id, name, status, stage, retry_count, retry_interval, retry_policy, retry_at, root_id, parent_id, worker_id
+                     FROM fib_flow_tasks
                      WHERE status IN ('timeout','failed')
                      AND retry_count + 1 < max_retries
-                     AND (last_active_time + retry_interval < ?)`,
+                     AND cancel_reason IS NULL
+                     AND (retry_policy IS NOT NULL OR retry_at IS NOT NULL OR last_active_time + retry_interval < ?)`,
                 now
             );
 
             let affected = 0;
             for (const task of retryTasks) {
+                // Tasks with a retry policy or a Retry-After hint are rescheduled right away;
+                // the hint, else the policy, decides how far in the future the next attempt runs.
+                parseTask(task);
+                const retryNumber = (task.retry_count || 0) + 1;
+                const retryDelay = task.retry_at
+                    ? Math.max(0, task.retry_at - now)
+                    : computeRetryDelay(task.retry_policy, retryNumber, task.retry_interval);
+
                 const rs = conn.execute(
                     `UPDATE fib_flow_tasks
                          SET status = 'pending',
                              stage = 0,
                              result = null,
                              context = null,
+                             resume_reason = NULL,
+                             resume_data = NULL,
                              retry_count = retry_count + 1,
+                             retry_at = NULL,
                              last_active_time = ?,
-                             next_run_time = ? + retry_interval
+                             next_run_time = ?
                          WHERE id = ? AND status IN ('timeout','failed')`,
                     now,
-                    now,
+                    now + retryDelay,
                     task.id
                 );
 
@@ -2443,6 +3377,7 @@ class BaseDBAdapter {
                 }
 
                 affected += 1;
+                transitions.push({ task_id: task.id, from_status: task.status, to_status: 'pending' });
                 this._runBestEffortTimeoutSideEffect(`record retry event for task ${task.id}`, () => {
                     this._insertTaskEventsWithConnection(conn, [{
                         task_id: task.id,
@@ -2456,8 +3391,12 @@ class BaseDBAdapter {
                         event_time: now,
                         message: `Task ${task.name} scheduled for retry`,
                         metadata: {
-                            retry_count: (task.retry_count || 0) + 1,
-                            previous_status: task.status
+                            retry_count: retryNumber,
+                            previous_status: task.status,
+                            retry_delay: retryDelay,
+                            retry_strategy: task.retry_at
+                                ? 'retry_after'
+                                : task.retry_policy ? task.retry_policy.strategy : 'fixed'
                         }
                     }]);
                 });
@@ -2467,7 +3406,7 @@ class BaseDBAdapter {
         }));
     }
 
-    _handleExhaustedCronTasks(now) {
+    _handleExhaustedCronTasks(now, transitions = []) {
         return this._runTimeoutSweepStep('cron exhaustion sweep', 0, () => this.pool(conn => {
             logger.debug(`[handleTimeoutTasks] Checking for cron tasks that have exhausted retries`);
             const exhaustedTasks = conn.execute(
@@ -2493,6 +3432,7 @@ class BaseDBAdapter {
                 }
 
                 affected += 1;
+                transitions.push({ task_id: task.id, from_status: task.status, to_status: 'paused' });
                 this._runBestEffortTimeoutSideEffect(`record paused event for task ${task.id}`, () => {
                     this._insertTaskEventsWithConnection(conn, [{
                         task_id: task.id,
@@ -2516,15 +3456,191 @@ class BaseDBAdapter {
         }));
     }
 
-    _handlePermanentlyFailedAsyncTasks(now) {
+    /**
+     * Resume suspended tasks whose automatic resume time (resume_at) has come: sleeping
+     * tasks (task.sleep()) and tasks suspended when their allowed window closed. They resume
+     * at resume_stage, or at the next stage when it is not set.
+     * @param {number} now - Current time (Unix seconds)
+     * @param {Array<object>} [transitions] - Receives a {task_id, from_status, to_status} entry per resumed task
+     * @returns {number} Number of tasks resumed
+     */
+    _resumeDueSuspendedTasks(now, transitions = []) {
+        return this._runTimeoutSweepStep('suspension resume sweep', 0, () => this.pool(conn => {
+            const dueTasks = conn.execute(
+                `SELECT id, name, status, stage, root_id, parent_id, worker_id, resume_at, resume_stage FROM fib_flow_tasks
+                     WHERE status = 'suspended'
+                     AND resume_at IS NOT NULL
+                     AND resume_at <= ?`,
+                now
+            );
+
+            let affected = 0;
+            for (const task of dueTasks) {
+                const resumeStage = task.resume_stage ?? task.stage + 1;
+                const rs = conn.execute(
+                    `UPDATE fib_flow_tasks
+                         SET status = 'pending',
+                             next_run_time = ?,
+                             stage = ?,
+                             resume_reason = 'resume_at_reached',
+                             cancel_reason = NULL,
+                             wait_signal = NULL,
+                             resume_data = NULL,
+                             resume_at = NULL,
+                             resume_stage = NULL,
+                             suspend_expires_at = NULL,
+                             suspend_on_expire = NULL,
+                             last_active_time = ?
+                         WHERE id = ? AND status = 'suspended' AND resume_at = ?`,
+                    now,
+                    resumeStage,
+                    now,
+                    task.id,
+                    task.resume_at
+                );
+
+                if (rs.affected !== 1) {
+                    continue;
+                }
+
+                affected += 1;
+                transitions.push({ task_id: task.id, from_status: 'suspended', to_status: 'pending' });
+                this._runBestEffortTimeoutSideEffect(`record resumed event for task ${task.id}`, () => {
+                    this._insertTaskEventsWithConnection(conn, [{
+                        task_id: task.id,
+                        root_id: normalizeRootId(task.id, task.root_id),
+                        parent_id: task.parent_id || null,
+                        event_type: 'task_resumed',
+                        from_status: 'suspended',
+                        to_status: 'pending',
+                        stage: resumeStage,
+                        worker_id: task.worker_id || null,
+                        event_time: now,
+                        message: `Task ${task.name} resumed automatically`,
+                        metadata: {
+                            resume_reason: 'resume_at_reached',
+                            resume_at: Number(task.resume_at)
+                        }
+                    }]);
+                });
+            }
+
+            return affected;
+        }));
+    }
+
+    /**
+     * Apply the expiry action of suspensions whose deadline (suspend_expires_at) has passed:
+     * cancel moves the task to cancelled, fail to permanently_failed (paused for cron tasks),
+     * resume to pending at the next stage with resume_reason 'suspension_expired'
+     * @param {number} now - Current time (Unix seconds)
+     * @param {Array<object>} [transitions] - Receives a {task_id, from_status, to_status} entry per expired suspension
+     * @returns {number} Number of expired suspensions
+     */
+    _expireSuspendedTasks(now, transitions = []) {
+        return this._runTimeoutSweepStep('suspension expiry sweep', 0, () => this.pool(conn => {
+            const expiredTasks = conn.execute(
+                `SELECT id, name, type, status, stage, root_id, parent_id, worker_id, resume_stage,
+                        suspend_expires_at, suspend_on_expire
+                     FROM fib_flow_tasks
+                     WHERE status = 'suspended'
+                     AND suspend_expires_at IS NOT NULL
+                     AND suspend_expires_at <= ?`,
+                now
+            );
+
+            let affected = 0;
+            for (const task of expiredTasks) {
+                const action = task.suspend_on_expire || 'cancel';
+                let toStatus;
+                let stage = task.stage;
+                let rs;
+                if (action === 'resume') {
+                    toStatus = 'pending';
+                    stage = task.resume_stage ?? task.stage + 1;
+                    rs = conn.execute(
+                        `UPDATE fib_flow_tasks
+                             SET status = 'pending',
+                                 next_run_time = ?,
+                                 stage = ?,
+                                 retry_count = 0,
+                                 resume_reason = 'suspension_expired',
+                                 cancel_reason = NULL,
+                                 wait_signal = NULL,
+                                 resume_data = NULL,
+                                 resume_at = NULL,
+                                 resume_stage = NULL,
+                                 suspend_expires_at = NULL,
+                                 suspend_on_expire = NULL,
+                                 last_active_time = ?
+                             WHERE id = ? AND status = 'suspended' AND suspend_expires_at = ?`,
+                        now,
+                        stage,
+                        now,
+                        task.id,
+                        task.suspend_expires_at
+                    );
+                } else {
+                    toStatus = action === 'cancel'
+                        ? 'cancelled'
+                        : (task.type === 'cron' ? 'paused' : 'permanently_failed');
+                    rs = conn.execute(
+                        `UPDATE fib_flow_tasks
+                             SET status = ?,
+                                 error = 'Suspension expired',
+                                 wait_signal = NULL,
+                                 resume_at = NULL,
+                                 resume_stage = NULL,
+                                 suspend_expires_at = NULL,
+                                 suspend_on_expire = NULL,
+                                 last_active_time = ?
+                             WHERE id = ? AND status = 'suspended' AND suspend_expires_at = ?`,
+                        toStatus,
+                        now,
+                        task.id,
+                        task.suspend_expires_at
+                    );
+                }
+
+                if (rs.affected !== 1) {
+                    continue;
+                }
+
+                affected += 1;
+                transitions.push({ task_id: task.id, from_status: 'suspended', to_status: toStatus });
+                this._runBestEffortTimeoutSideEffect(`record suspension expiry event for task ${task.id}`, () => {
+                    this._insertTaskEventsWithConnection(conn, [{
+                        task_id: task.id,
+                        root_id: normalizeRootId(task.id, task.root_id),
+                        parent_id: task.parent_id || null,
+                        event_type: 'task_suspension_expired',
+                        from_status: 'suspended',
+                        to_status: toStatus,
+                        stage,
+                        worker_id: task.worker_id || null,
+                        event_time: now,
+                        message: `Suspension of task ${task.name} expired, action: ${action}`,
+                        metadata: {
+                            on_expire: action,
+                            expires_at: Number(task.suspend_expires_at)
+                        }
+                    }]);
+                });
+            }
+
+            return affected;
+        }));
+    }
+
+    _handlePermanentlyFailedAsyncTasks(now, transitions = []) {
         return this._runTimeoutSweepStep('permanent-failure sweep', 0, () => this.pool(conn => {
             const failedTasks = conn.execute(
-                `SELECT id, name, status, stage, root_id, parent_id, worker_id, error
+                `SELECT id, name, type, status, stage, root_id, parent_id, worker_id, error, scheduled_time
                     FROM fib_flow_tasks
                     WHERE type = 'async'
                       AND (
                             (status IN ('timeout', 'failed') AND retry_count + 1 >= max_retries)
-                         OR (status = 'permanently_failed' AND parent_id IS NOT NULL)
+                         OR (status IN ('permanently_failed', 'cancelled') AND parent_id IS NOT NULL AND scheduled_time IS NULL)
                       )`
             );
 
@@ -2532,7 +3648,7 @@ class BaseDBAdapter {
             for (const task of failedTasks) {
                 let stateChanged = false;
 
-                if (task.status !== 'permanently_failed') {
+                if (task.status === 'timeout' || task.status === 'failed') {
                     const rs = conn.execute(
                         `UPDATE fib_flow_tasks
                             SET status = 'permanently_failed',
@@ -2548,6 +3664,7 @@ class BaseDBAdapter {
 
                     stateChanged = true;
                     affected += 1;
+                    transitions.push({ task_id: task.id, from_status: task.status, to_status: 'permanently_failed' });
                     this._runBestEffortTimeoutSideEffect(`record permanent-failure event for task ${task.id}`, () => {
                         this._insertTaskEventsWithConnection(conn, [{
                             task_id: task.id,
@@ -2568,11 +3685,11 @@ class BaseDBAdapter {
                     });
                 }
 
-                if (task.parent_id) {
+                if (task.parent_id && !isScheduleRun(task)) {
                     this._propagateChildFailureToParentWithConnection(conn, task, now);
                 }
 
-                if (stateChanged && task.parent_id) {
+                if (stateChanged && task.parent_id && !isScheduleRun(task)) {
                     logger.info(`[handleTimeoutTasks] Parent task ${task.parent_id} checked after child ${task.id} permanently failed`);
                 }
             }
@@ -2594,25 +3711,33 @@ class BaseDBAdapter {
      * Implements the following timeout handling logic:
      * 1. Marks tasks as permanently_failed if max retries reached
      * 2. Marks running tasks as timeout if inactive
-     * 3. Schedules retry attempts for failed tasks within retry limit
-     * 4. Cleans up expired terminal tasks according to the retention policy
+     * 3. Marks failed tasks with a pending cancellation request as cancelled
+     * 4. Schedules retry attempts for failed tasks within retry limit
+     * 5. Cleans up expired terminal tasks according to the retention policy
     * @param {object} timeoutConfig - Task heartbeat timeout configuration
      * @param {number|object} [retention] - Retention expire time or retention policy
-     * @returns {object} Count of tasks in each state transition
+     * @returns {object} Count of tasks in each state transition, plus a transitions list of
+     *                   {task_id, from_status, to_status} entries for every task a sweep moved
      */
     handleTimeoutTasks(timeoutConfig, retention = null) {
         const retentionPolicy = normalizeRetentionPolicy(retention, null);
         logger.info(`[handleTimeoutTasks] Starting timeout task handling${retentionPolicy.expire_time ? `, with expire time: ${retentionPolicy.expire_time}s` : ''}`);
         const now = Math.floor(Date.now() / 1000);
+        const transitions = [];
         const result = {
-            timed_out_total: this._handleTotalTimeoutTasks(now),
-            timed_out_heartbeat: this._handleHeartbeatTimeoutTasks(now, timeoutConfig),
-            retried: this._handleRetryTasks(now),
-            paused: this._handleExhaustedCronTasks(now),
-            permanently_failed: this._handlePermanentlyFailedAsyncTasks(now),
+            timed_out_total: this._handleTotalTimeoutTasks(now, transitions),
+            timed_out_heartbeat: this._handleHeartbeatTimeoutTasks(now, timeoutConfig, transitions),
+            cancelled: this._handleCancelRequestedTasks(now, transitions),
+            retried: this._handleRetryTasks(now, transitions),
+            paused: this._handleExhaustedCronTasks(now, transitions),
+            resumed: this._resumeDueSuspendedTasks(now, transitions),
+            suspensions_expired: this._expireSuspendedTasks(now, transitions),
+            signals_delivered: this._deliverPendingSignals(now, transitions),
+            permanently_failed: this._handlePermanentlyFailedAsyncTasks(now, transitions),
             tasks_deleted: 0,
             events_deleted: 0,
-            attempts_deleted: 0
+            attempts_deleted: 0,
+            transitions
         };
 
         if (result.timed_out_total) {
@@ -2621,9 +3746,21 @@ class BaseDBAdapter {
         if (result.timed_out_heartbeat) {
             logger.warning(`[handleTimeoutTasks] ${result.timed_out_heartbeat} tasks timed out waiting for heartbeat`);
         }
+        if (result.cancelled) {
+            logger.info(`[handleTimeoutTasks] ${result.cancelled} tasks cancelled after their last attempt ended`);
+        }
         if (result.retried) {
             logger.info(`[handleTimeoutTasks] ${result.retried} tasks scheduled for retry`);
         }
+        if (result.resumed) {
+            logger.info(`[handleTimeoutTasks] ${result.resumed} suspended tasks resumed at their resume time`);
+        }
+        if (result.signals_delivered) {
+            logger.info(`[handleTimeoutTasks] ${result.signals_delivered} waiting tasks resumed by signals`);
+        }
+        if (result.suspensions_expired) {
+            logger.info(`[handleTimeoutTasks] ${result.suspensions_expired} suspensions expired`);
+        }
         if (result.paused) {
             logger.warning(`[handleTimeoutTasks] ${result.paused} cron tasks paused due to no retries left`);
         }
@@ -2729,7 +3866,7 @@ class BaseDBAdapter {
         if (!status) {
             throw new Error('Status is required');
         }
-        if (!['pending', 'running', 'completed', 'failed', 'timeout', 'permanently_failed', 'paused', 'suspended'].includes(status)) {
+        if (!['pending', 'running', 'completed', 'failed', 'timeout', 'permanently_failed', 'paused', 'suspended', 'cancelled'].includes(status)) {
             throw new Error('Invalid status value');
         }
 
@@ -2843,24 +3980,171 @@ class BaseDBAdapter {
         return this.queryTasks(filters).items;
     }
 
+    /**
+     * Create a named cron schedule, or update it in place when its schedule_id exists
+     * @param {object} task - Cron task definition including schedule_id and next_run_time
+     * @returns {number} ID of the cron task backing the schedule
+     */
+    upsertSchedule(task) {
+        if (!task || !task.schedule_id) {
+            throw new Error('Schedule ID is required');
+        }
+
+        const { schedule_id, type, ...changes } = task;
+        for (let attempt = 0; ; attempt++) {
+            const taskId = this.updateSchedule(schedule_id, changes);
+            if (taskId !== null) {
+                return taskId;
+            }
+
+            try {
+                return this.insertTask(task);
+            } catch (error) {
+                // Another worker created the same schedule first: update it instead
+                if (attempt > 0) {
+                    throw error;
+                }
+                logger.warning(`[upsertSchedule] Retrying schedule ${schedule_id} as update: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Update a named cron schedule in place. Status is left unchanged, so a paused
+     * schedule stays paused and a running one applies the changes from its next run.
+     * A completed schedule (end_at or max_runs reached) goes back to pending when the
+     * changes give it a next_run_time and its run_count is below max_runs.
+     * @param {string} scheduleId - Schedule ID
+     * @param {object} changes - Fields to update: name, cron_expr, timezone, payload, priority, tag,
+     *                           max_retries, retry_interval, retry_policy, max_deferrals,
+     *                           timeout, misfire_policy, misfire_limit, overlap_policy, start_at, end_at,
+     *                           max_runs, interval_seconds, interval_anchor, calendar, next_run_time, scheduled_time
+     * @returns {number|null} ID of the updated cron task, or null when the schedule does not exist
+     * @throws {Error} If the schedule is completed and the changes leave it no further run
+     */
+    updateSchedule(scheduleId, changes = {}) {
+        logger.info(`[updateSchedule] Updating schedule ${scheduleId}`);
+
+        if (!scheduleId) {
+            throw new Error('Schedule ID is required');
+        }
+
+        const columns = {
+            name: value => value,
+            cron_expr: value => value,
+            timezone: value => value || null,
+            payload: value => value === undefined || value === null ? null : JSON.stringify(value),
+            priority: value => value || 0,
+            tag: value => value || null,
+            max_retries: value => value,
+            retry_interval: value => value || 0,
+            retry_policy: value => value ? JSON.stringify(value) : null,
+            max_deferrals: value => value === undefined ? null : value,
+            timeout: value => value || 60,
+            misfire_policy: value => value || null,
+            misfire_limit: value => value || null,
+            overlap_policy: value => value || null,
+            start_at: value => value || null,
+            end_at: value => value || null,
+            max_runs: value => value || null,
+            interval_seconds: value => value || null,
+            interval_anchor: value => value || null,
+            calendar: value => value || null,
+            next_run_time: value => value,
+            scheduled_time: value => value
+        };
+
+        const assignments = [];
+        const params = [];
+        const changedFields = [];
+        for (const column of Object.keys(columns)) {
+            if (changes[column] === undefined) {
+                continue;
+            }
+            assignments.push(`${column} = ?`);
+            params.push(columns[column](changes[column]));
+            changedFields.push(column);
+        }
+
+        let taskId = null;
+        this.pool(conn => conn.trans(() => {
+            const rs = conn.execute(
+                `SELECT id, name, status, stage, root_id, parent_id, worker_id, run_count, max_runs
+                 FROM fib_flow_tasks WHERE schedule_id = ? AND type = 'cron'`,
+                scheduleId
+            );
+
+            if (rs.length === 0) {
+                return;
+            }
+
+            const task = rs[0];
+            taskId = task.id;
+
+            // Revive a schedule that reached its bounds when the new bounds allow more runs
+            let toStatus = task.status;
+            if (task.status === 'completed') {
+                const maxRuns = changes.max_runs !== undefined ? columns.max_runs(changes.max_runs) : task.max_runs;
+                if (changes.next_run_time === undefined || changes.next_run_time === null
+                    || (maxRuns && Number(task.run_count || 0) >= maxRuns)) {
+                    throw new Error(`Schedule ${scheduleId} has completed and its bounds allow no further runs`);
+                }
+
+                toStatus = 'pending';
+                assignments.push(`status = 'pending'`, 'stage = 0', 'error = NULL', 'cancel_reason = NULL');
+            }
+
+            if (assignments.length > 0) {
+                conn.execute(
+                    `UPDATE fib_flow_tasks SET ${assignments.join(', ')} WHERE id = ?`,
+                    ...params,
+                    task.id
+                );
+            }
+
+            this._insertTaskEventsWithConnection(conn, [{
+                task_id: task.id,
+                root_id: normalizeRootId(task.id, task.root_id),
+                parent_id: task.parent_id || null,
+                event_type: 'task_schedule_updated',
+                from_status: task.status,
+                to_status: toStatus,
+                stage: toStatus === task.status ? task.stage : 0,
+                worker_id: task.worker_id || null,
+                message: `Schedule ${scheduleId} of task ${task.name} updated`,
+                metadata: {
+                    schedule_id: scheduleId,
+                    changed_fields: changedFields,
+                    cron_expr: changes.cron_expr !== undefined ? changes.cron_expr : null,
+                    next_run_time: changes.next_run_time !== undefined ? changes.next_run_time : null
+                }
+            }]);
+        }));
+
+        return taskId;
+    }
+
     /**
      * Delete tasks by filter conditions
      * @param {object} filters - Filter conditions
      * @param {string} [filters.tag] - Filter by tag
      * @param {string} [filters.status] - Filter by status (must be valid task state)
      * @param {string} [filters.name] - Filter by task name
-     * @returns {number} Number of tasks deleted
+     * @param {string} [filters.schedule_id] - Filter by cron schedule ID; the run instances and subtasks
+     *                                          in the schedule's task tree are deleted with it
+     * @returns {number} Number of tasks matching the filters that were deleted
      * @throws {Error} If status is invalid
      */
     deleteTasks(filters = {}) {
         logger.info(`[deleteTasks] Deleting tasks with filters:`, filters);
 
         // Validate status if provided
-        if (filters.status && !['pending', 'running', 'completed', 'failed', 'timeout', 'permanently_failed', 'paused', 'suspended'].includes(filters.status)) {
+        if (filters.status && !['pending', 'running', 'completed', 'failed', 'timeout', 'permanently_failed', 'paused', 'suspended', 'cancelled'].includes(filters.status)) {
             throw new Error('Invalid status value');
         }
 
-        return this.pool(conn => {
+        let deleted = 0;
+        this.pool(conn => conn.trans(() => {
             const conditions = [];
             const params = [];
 
@@ -2876,10 +4160,22 @@ class BaseDBAdapter {
                 conditions.push('name = ?');
                 params.push(filters.name);
             }
+            if (filters.schedule_id) {
+                conditions.push('schedule_id = ?');
+                params.push(filters.schedule_id);
+            }
 
             const whereSql = conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '';
             const taskRows = conn.execute(`SELECT id FROM fib_flow_tasks${whereSql}`, ...params);
-            const taskIds = uniqueTaskIds(taskRows);
+            let taskIds = uniqueTaskIds(taskRows);
+
+            // Runs of a schedule with run history are rooted at the schedule row and carry no schedule_id
+            let treeIds = [];
+            if (filters.schedule_id && taskIds.length > 0) {
+                const treeRows = conn.execute('SELECT id FROM fib_flow_tasks WHERE root_id IN ?', taskIds);
+                treeIds = uniqueTaskIds(treeRows).filter(id => !taskIds.includes(id));
+                taskIds = taskIds.concat(treeIds);
+            }
 
             this._deleteTaskAuditDataWithConnection(conn, taskIds);
 
@@ -2887,9 +4183,15 @@ class BaseDBAdapter {
 
             logger.debug(`[deleteTasks] Executing query: ${sql} with params:`, params);
             const result = conn.execute(sql, ...params);
+            if (treeIds.length > 0) {
+                const treeResult = conn.execute('DELETE FROM fib_flow_tasks WHERE id IN ?', treeIds);
+                logger.info(`[deleteTasks] Deleted ${treeResult.affected} run and subtask rows of the matched schedules`);
+            }
             logger.info(`[deleteTasks] Deleted ${result.affected} tasks`);
-            return result.affected;
-        });
+            deleted = result.affected;
+        }));
+
+        return deleted;
     }
 
     /**
@@ -2930,6 +4232,8 @@ class BaseDBAdapter {
             conn.execute('DELETE FROM fib_flow_task_events');
             conn.execute('DELETE FROM fib_flow_task_attempts');
             conn.execute('DELETE FROM fib_flow_workers');
+            conn.execute('DELETE FROM fib_flow_task_limits');
+            conn.execute('DELETE FROM fib_flow_task_signals');
             const rs = conn.execute('DELETE FROM fib_flow_tasks');
             return rs.affected;
         });
@@ -8,6 +8,47 @@ const createLogger = require('../logger');
 
 // Create logger for MySQL adapter operations
 const logger = createLogger('fib-flow');
+
+// Columns added to fib_flow_tasks after its first release; setup() adds those an existing table lacks
+const ADDED_TASK_COLUMNS = {
+    cancel_reason: 'TEXT',
+    retry_policy: 'TEXT',
+    retry_at: 'BIGINT',
+    defer_count: 'INT DEFAULT 0',
+    max_deferrals: 'INT',
+    idempotency_key: 'VARCHAR(255)',
+    idempotency_expires_at: 'BIGINT',
+    schedule_id: 'VARCHAR(255)',
+    timezone: 'VARCHAR(64)',
+    scheduled_time: 'BIGINT',
+    misfire_policy: 'VARCHAR(16)',
+    misfire_limit: 'INT',
+    overlap_policy: 'VARCHAR(16)',
+    start_at: 'BIGINT',
+    end_at: 'BIGINT',
+    max_runs: 'INT',
+    run_count: 'INT DEFAULT 0',
+    interval_seconds: 'INT',
+    interval_anchor: 'VARCHAR(16)',
+    calendar: 'VARCHAR(64)',
+    allowed_windows: 'TEXT',
+    window_overrun: 'VARCHAR(16)',
+    resume_at: 'BIGINT',
+    resume_stage: 'INT',
+    suspend_expires_at: 'BIGINT',
+    suspend_on_expire: 'VARCHAR(16)',
+    resume_reason: 'TEXT',
+    resume_data: 'TEXT',
+    wait_signal: 'VARCHAR(255)'
+};
+
+// Columns added to fib_flow_task_limits after its first release
+const ADDED_LIMIT_COLUMNS = {
+    window_start: 'BIGINT',
+    window_count: 'INT DEFAULT 0',
+    previous_count: 'INT DEFAULT 0'
+};
+
 /**
  * MySQL adapter for task persistence
  * Uses InnoDB engine and includes indexes for optimal query performance
@@ -38,13 +79,43 @@ class MySQLAdapter extends BaseDBAdapter {
      *   - last_active_time: Last time task reported activity (Unix seconds)
      *   - result: JSON encoded task execution result
      *   - error: Error message if task failed
+     *   - cancel_reason: Cancellation reason once cancellation of a running task is requested
      * 
      * - Task execution settings:
      *   - timeout: Task execution timeout in seconds
      *   - retry_count: Number of retry attempts made
      *   - max_retries: Maximum number of retry attempts allowed
      *   - retry_interval: Delay between retry attempts in seconds
+     *   - retry_policy: JSON encoded retry policy (strategy, base, factor, max_interval, jitter)
+     *   - retry_at: Retry-After hint from the last failure (Unix seconds), overrides the retry delay
+     *   - defer_count: Number of times the task deferred itself without consuming a retry
+     *   - max_deferrals: Maximum number of deferrals before a deferral counts as a failure
      *   - cron_expr: Cron expression for recurring tasks
+     *   - timezone: IANA timezone the cron expression is evaluated in, null for the host timezone
+     *   - scheduled_time: Cron slot (Unix seconds) the pending or running execution belongs to; on an async
+     *     task, marks it as a run instance of its parent schedule
+     *   - misfire_policy: What to do with missed cron slots (fire_once, skip, catch_up), null for fire_once
+     *   - misfire_limit: Maximum number of missed cron slots tracked (and caught up) per misfire
+     *   - overlap_policy: Set on cron schedules with run history; skip or allow a run while the previous one is active
+     *   - start_at: No cron run before this time (Unix seconds)
+     *   - end_at: No cron run after this time (Unix seconds); the schedule completes once it has passed
+     *   - max_runs: Number of cron runs after which the schedule completes
+     *   - run_count: Number of cron runs so far
+     *   - interval_seconds: Interval between runs of a recurring task scheduled with every(), null for cron expressions
+     *   - interval_anchor: What the interval follows: fixed_rate (previous scheduled time) or fixed_delay (previous completion)
+     *   - calendar: Name of a registered calendar; cron runs skip its blackouts and due tasks are deferred past them
+     *   - allowed_windows: JSON encoded time windows an async task may run in; due tasks wait for the next opening
+     *   - window_overrun: What happens to a task still running when its window closes: finish (default) or suspend
+     *   - resume_at: Time a suspended task is resumed automatically (Unix seconds): a task.sleep() timer or the next window opening
+     *   - resume_stage: Stage a suspended task resumes at (NULL: the next stage)
+     *   - suspend_expires_at: Time a suspension expires (Unix seconds)
+     *   - suspend_on_expire: Action taken when the suspension expires: cancel, resume or fail
+     *   - resume_reason: Why the task last resumed from suspended, e.g. manual or suspension_expired
+     *   - resume_data: JSON encoded data passed to resumeTask() for the next stage
+     *   - wait_signal: Name of the signal a task suspended by task.waitForSignal() waits for
+     *   - schedule_id: Caller supplied name of a cron schedule, unique; cron() with the same ID updates the row
+     *   - idempotency_key: Caller supplied key; duplicate submissions of the same name return this task
+     *   - idempotency_expires_at: End of the dedupe window (Unix seconds), null keeps it until the task is deleted
      * 
      * - Workflow relationships:
      *   - root_id: ID of the root task in workflow
@@ -56,11 +127,29 @@ class MySQLAdapter extends BaseDBAdapter {
      *   - worker_id: ID of the worker that executed the task
      *   - start_time: Timestamp when task started execution (Unix seconds)
      * 
+     * Task limits table (fib_flow_task_limits):
+     *   - name: Task name; one row per name with a cluster-wide concurrency or rate limit
+     *   - updated_at: Last time a claim locked the row (Unix seconds)
+     *   - window_start: Start of the current rate limit window (Unix seconds)
+     *   - window_count: Tasks claimed in the current rate limit window
+     *   - previous_count: Tasks claimed in the previous rate limit window
+     * 
+     * Task signals table (fib_flow_task_signals):
+     *   - task_id: ID of the signalled task
+     *   - name: Signal name
+     *   - data: JSON encoded signal data
+     *   - created_at: Time the signal was sent (Unix seconds)
+     *   - consumed_at: Time the signal was delivered or read by task.signals() (NULL: pending)
+     * 
      * Indexes:
      * - idx_fib_flow_tasks_status_priority_next_run_time: For task scheduling and claiming
      * - idx_fib_flow_tasks_name: For task type lookups
      * - idx_fib_flow_tasks_parent_status: For workflow management
      * - idx_fib_flow_tasks_tag_name_status: For task statistics
+     * - idx_task_idempotency: Unique (name, idempotency_key) for deduplicated submissions
+     * - idx_task_schedule: Unique schedule_id for named cron schedules
+     * 
+     * Tables created by an older version are upgraded in place, see _upgradeTasksTable()
      */
     setup() {
         logger.notice(`[MySQLAdapter] Setting up database schema`);
@@ -76,7 +165,7 @@ class MySQLAdapter extends BaseDBAdapter {
                         created_at BIGINT,
                         tag VARCHAR(255),
 
-                        status ENUM('pending', 'running', 'completed', 'failed', 'timeout', 'permanently_failed', 'paused', 'suspended') NOT NULL,
+                        status ENUM('pending', 'running', 'completed', 'failed', 'timeout', 'permanently_failed', 'paused', 'suspended', 'cancelled') NOT NULL,
                         next_run_time BIGINT NOT NULL,
                         last_active_time BIGINT,
                         last_event_time BIGINT,
@@ -92,7 +181,35 @@ class MySQLAdapter extends BaseDBAdapter {
                         retry_count INT DEFAULT 0,
                         max_retries INT DEFAULT 3,
                         retry_interval INT DEFAULT 0,
+                        retry_policy TEXT,
+                        retry_at BIGINT,
+                        defer_count INT DEFAULT 0,
+                        max_deferrals INT,
                         cron_expr VARCHAR(100),
+                        schedule_id VARCHAR(255),
+                        timezone VARCHAR(64),
+                        scheduled_time BIGINT,
+                        misfire_policy VARCHAR(16),
+                        misfire_limit INT,
+                        overlap_policy VARCHAR(16),
+                        start_at BIGINT,
+                        end_at BIGINT,
+                        max_runs INT,
+                        run_count INT DEFAULT 0,
+                        interval_seconds INT,
+                        interval_anchor VARCHAR(16),
+                        calendar VARCHAR(64),
+                        allowed_windows TEXT,
+                        window_overrun VARCHAR(16),
+                        resume_at BIGINT,
+                        resume_stage INT,
+                        suspend_expires_at BIGINT,
+                        suspend_on_expire VARCHAR(16),
+                        resume_reason TEXT,
+                        resume_data TEXT,
+                        wait_signal VARCHAR(255),
+                        idempotency_key VARCHAR(255),
+                        idempotency_expires_at BIGINT,
 
                         root_id BIGINT,
                         parent_id BIGINT,
@@ -101,6 +218,7 @@ class MySQLAdapter extends BaseDBAdapter {
                         worker_id VARCHAR(255),
                         start_time BIGINT,
                         context BLOB,
+                        cancel_reason TEXT,
 
                         -- Task scheduling index: Optimizes task claiming and status filtering (high frequency)
                         INDEX idx_task_scheduling (status, next_run_time, priority),
@@ -116,6 +234,12 @@ class MySQLAdapter extends BaseDBAdapter {
 
                         INDEX idx_task_last_event (last_event_time, last_event_type),
                         INDEX idx_task_root_created (root_id, created_at),
+
+                        -- Idempotency index: One task per name and idempotency key
+                        UNIQUE INDEX idx_task_idempotency (name, idempotency_key),
+
+                        -- Schedule index: One cron task per schedule ID
+                        UNIQUE INDEX idx_task_schedule (schedule_id),
                         
                         -- Foreign key constraints: Ensures workflow integrity
                         FOREIGN KEY (parent_id) REFERENCES fib_flow_tasks(id) ON DELETE CASCADE,
@@ -178,10 +302,83 @@ class MySQLAdapter extends BaseDBAdapter {
                         INDEX idx_task_workers_status_expires (status, expires_at),
                         INDEX idx_task_workers_pod_status (pod_id, status)
                     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+                    CREATE TABLE IF NOT EXISTS fib_flow_task_limits (
+                        name VARCHAR(255) PRIMARY KEY,
+                        updated_at BIGINT NOT NULL,
+                        window_start BIGINT,
+                        window_count INT DEFAULT 0,
+                        previous_count INT DEFAULT 0
+                    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+                    CREATE TABLE IF NOT EXISTS fib_flow_task_signals (
+                        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                        task_id BIGINT NOT NULL,
+                        name VARCHAR(255) NOT NULL,
+                        data TEXT,
+                        created_at BIGINT NOT NULL,
+                        consumed_at BIGINT,
+
+                        INDEX idx_task_signals_task_name (task_id, name, consumed_at)
+                    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
                 `);
+
+            this._upgradeTasksTable(conn);
+            this._addMissingColumns(conn, 'fib_flow_task_limits', ADDED_LIMIT_COLUMNS);
             logger.notice(`[MySQLAdapter] Database schema setup completed successfully`);
         });
     }
+
+    /**
+     * Upgrade a tasks table created by an older version
+     * Widens the status enum to the cancelled status, adds missing columns and creates
+     * the unique indexes declared inline by CREATE TABLE for new tables.
+     * 
+     * @private
+     * @param {Object} conn - Database connection object
+     */
+    _upgradeTasksTable(conn) {
+        const [status] = conn.execute(`
+            SELECT COLUMN_TYPE AS column_type FROM information_schema.COLUMNS
+            WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'fib_flow_tasks' AND COLUMN_NAME = 'status'
+        `);
+        if (String(status.column_type).indexOf(`'cancelled'`) === -1) {
+            logger.notice(`[MySQLAdapter] Widening the status column of the tasks table`);
+            conn.execute(`
+                ALTER TABLE fib_flow_tasks MODIFY status
+                ENUM('pending', 'running', 'completed', 'failed', 'timeout', 'permanently_failed', 'paused', 'suspended', 'cancelled') NOT NULL
+            `);
+        }
+
+        this._addMissingColumns(conn, 'fib_flow_tasks', ADDED_TASK_COLUMNS);
+
+        const indexes = new Set(conn.execute(`
+            SELECT DISTINCT INDEX_NAME AS index_name FROM information_schema.STATISTICS
+            WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'fib_flow_tasks'
+        `).map(row => row.index_name));
+        if (!indexes.has('idx_task_idempotency')) {
+            conn.execute(`CREATE UNIQUE INDEX idx_task_idempotency ON fib_flow_tasks (name, idempotency_key)`);
+        }
+        if (!indexes.has('idx_task_schedule')) {
+            conn.execute(`CREATE UNIQUE INDEX idx_task_schedule ON fib_flow_tasks (schedule_id)`);
+        }
+    }
+
+    /**
+     * List the columns of a table in the current database
+     * 
+     * @protected
+     * @param {Object} conn - Database connection object
+     * @param {string} table - Table name
+     * @returns {string[]} Column names of the table
+     */
+    _getColumnNames(conn, table) {
+        const rows = conn.execute(
+            'SELECT COLUMN_NAME AS column_name FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+            table
+        );
+        return rows.map(row => row.column_name);
+    }
 }
 
 module.exports = MySQLAdapter;
@@ -9,6 +9,46 @@ const createLogger = require('../logger');
 // Create logger for SQLite adapter operations
 const logger = createLogger('fib-flow');
 
+// Columns added to fib_flow_tasks after its first release; setup() adds those an existing table lacks
+const ADDED_TASK_COLUMNS = {
+    cancel_reason: 'TEXT',
+    retry_policy: 'TEXT',
+    retry_at: 'BIGINT',
+    defer_count: 'INTEGER DEFAULT 0',
+    max_deferrals: 'INTEGER',
+    idempotency_key: 'TEXT',
+    idempotency_expires_at: 'INTEGER',
+    schedule_id: 'TEXT',
+    timezone: 'TEXT',
+    scheduled_time: 'INTEGER',
+    misfire_policy: 'TEXT',
+    misfire_limit: 'INTEGER',
+    overlap_policy: 'TEXT',
+    start_at: 'INTEGER',
+    end_at: 'INTEGER',
+    max_runs: 'INTEGER',
+    run_count: 'INTEGER DEFAULT 0',
+    interval_seconds: 'INTEGER',
+    interval_anchor: 'TEXT',
+    calendar: 'TEXT',
+    allowed_windows: 'TEXT',
+    window_overrun: 'TEXT',
+    resume_at: 'INTEGER',
+    resume_stage: 'INTEGER',
+    suspend_expires_at: 'INTEGER',
+    suspend_on_expire: 'TEXT',
+    resume_reason: 'TEXT',
+    resume_data: 'TEXT',
+    wait_signal: 'TEXT'
+};
+
+// Columns added to fib_flow_task_limits after its first release
+const ADDED_LIMIT_COLUMNS = {
+    window_start: 'INTEGER',
+    window_count: 'INTEGER DEFAULT 0',
+    previous_count: 'INTEGER DEFAULT 0'
+};
+
 /**
  * SQLite adapter for task persistence
  * Uses CHECK constraints and separate index creation for data integrity
@@ -40,13 +80,43 @@ class SQLiteAdapter extends BaseDBAdapter {
      *   - last_active_time: Last time task reported activity (Unix seconds)
      *   - result: JSON encoded task execution result
      *   - error: Error message if task failed
+     *   - cancel_reason: Cancellation reason once cancellation of a running task is requested
      * 
      * - Task execution settings:
      *   - timeout: Task execution timeout in seconds
      *   - retry_count: Number of retry attempts made
      *   - max_retries: Maximum number of retry attempts allowed
      *   - retry_interval: Delay between retry attempts in seconds
+     *   - retry_policy: JSON encoded retry policy (strategy, base, factor, max_interval, jitter)
+     *   - retry_at: Retry-After hint from the last failure (Unix seconds), overrides the retry delay
+     *   - defer_count: Number of times the task deferred itself without consuming a retry
+     *   - max_deferrals: Maximum number of deferrals before a deferral counts as a failure
      *   - cron_expr: Cron expression for recurring tasks
+     *   - timezone: IANA timezone the cron expression is evaluated in, null for the host timezone
+     *   - scheduled_time: Cron slot (Unix seconds) the pending or running execution belongs to; on an async
+     *     task, marks it as a run instance of its parent schedule
+     *   - misfire_policy: What to do with missed cron slots (fire_once, skip, catch_up), null for fire_once
+     *   - misfire_limit: Maximum number of missed cron slots tracked (and caught up) per misfire
+     *   - overlap_policy: Set on cron schedules with run history; skip or allow a run while the previous one is active
+     *   - start_at: No cron run before this time (Unix seconds)
+     *   - end_at: No cron run after this time (Unix seconds); the schedule completes once it has passed
+     *   - max_runs: Number of cron runs after which the schedule completes
+     *   - run_count: Number of cron runs so far
+     *   - interval_seconds: Interval between runs of a recurring task scheduled with every(), null for cron expressions
+     *   - interval_anchor: What the interval follows: fixed_rate (previous scheduled time) or fixed_delay (previous completion)
+     *   - calendar: Name of a registered calendar; cron runs skip its blackouts and due tasks are deferred past them
+     *   - allowed_windows: JSON encoded time windows an async task may run in; due tasks wait for the next opening
+     *   - window_overrun: What happens to a task still running when its window closes: finish (default) or suspend
+     *   - resume_at: Time a suspended task is resumed automatically (Unix seconds): a task.sleep() timer or the next window opening
+     *   - resume_stage: Stage a suspended task resumes at (NULL: the next stage)
+     *   - suspend_expires_at: Time a suspension expires (Unix seconds)
+     *   - suspend_on_expire: Action taken when the suspension expires: cancel, resume or fail
+     *   - resume_reason: Why the task last resumed from suspended, e.g. manual or suspension_expired
+     *   - resume_data: JSON encoded data passed to resumeTask() for the next stage
+     *   - wait_signal: Name of the signal a task suspended by task.waitForSignal() waits for
+     *   - schedule_id: Caller supplied name of a cron schedule, unique; cron() with the same ID updates the row
+     *   - idempotency_key: Caller supplied key; duplicate submissions of the same name return this task
+     *   - idempotency_expires_at: End of the dedupe window (Unix seconds), null keeps it until the task is deleted
      * 
      * - Workflow relationships:
      *   - root_id: ID of the root task in workflow
@@ -58,11 +128,29 @@ class SQLiteAdapter extends BaseDBAdapter {
      *   - worker_id: ID of the worker that executed the task
      *   - start_time: Start time of task execution (Unix seconds)
      * 
+     * Task limits table (fib_flow_task_limits):
+     *   - name: Task name; one row per name with a cluster-wide concurrency or rate limit
+     *   - updated_at: Last time a claim locked the row (Unix seconds)
+     *   - window_start: Start of the current rate limit window (Unix seconds)
+     *   - window_count: Tasks claimed in the current rate limit window
+     *   - previous_count: Tasks claimed in the previous rate limit window
+     * 
+     * Task signals table (fib_flow_task_signals):
+     *   - task_id: ID of the signalled task
+     *   - name: Signal name
+     *   - data: JSON encoded signal data
+     *   - created_at: Time the signal was sent (Unix seconds)
+     *   - consumed_at: Time the signal was delivered or read by task.signals() (NULL: pending)
+     * 
      * Indexes:
      * - idx_fib_flow_tasks_status_priority_next_run_time: For task scheduling and claiming
      * - idx_fib_flow_tasks_name: For task type lookups
      * - idx_fib_flow_tasks_parent_status: For workflow management
      * - idx_fib_flow_tasks_tag_name_status: For task statistics queries by tag
+     * - idx_task_idempotency: Unique (name, idempotency_key) for deduplicated submissions
+     * - idx_task_schedule: Unique schedule_id for named cron schedules
+     * 
+     * Tables created by an older version are upgraded in place, see _upgradeTasksTable()
      */
     setup() {
         logger.info(`[SQLiteAdapter] Setting up database schema`);
@@ -78,7 +166,7 @@ class SQLiteAdapter extends BaseDBAdapter {
                         created_at INTEGER,
                         tag TEXT,
 
-                        status TEXT CHECK(status IN ('pending', 'running', 'completed', 'failed', 'timeout', 'permanently_failed', 'paused', 'suspended')) NOT NULL DEFAULT 'pending',
+                        status TEXT CHECK(status IN ('pending', 'running', 'completed', 'failed', 'timeout', 'permanently_failed', 'paused', 'suspended', 'cancelled')) NOT NULL DEFAULT 'pending',
                         next_run_time INTEGER NOT NULL,
                         last_active_time INTEGER,
                         last_event_time INTEGER,
@@ -94,7 +182,35 @@ class SQLiteAdapter extends BaseDBAdapter {
                         retry_count INTEGER DEFAULT 0,
                         max_retries INTEGER DEFAULT 3,
                         retry_interval INTEGER DEFAULT 0,
+                        retry_policy TEXT,
+                        retry_at BIGINT,
+                        defer_count INTEGER DEFAULT 0,
+                        max_deferrals INTEGER,
                         cron_expr TEXT,
+                        schedule_id TEXT,
+                        timezone TEXT,
+                        scheduled_time INTEGER,
+                        misfire_policy TEXT,
+                        misfire_limit INTEGER,
+                        overlap_policy TEXT,
+                        start_at INTEGER,
+                        end_at INTEGER,
+                        max_runs INTEGER,
+                        run_count INTEGER DEFAULT 0,
+                        interval_seconds INTEGER,
+                        interval_anchor TEXT,
+                        calendar TEXT,
+                        allowed_windows TEXT,
+                        window_overrun TEXT,
+                        resume_at INTEGER,
+                        resume_stage INTEGER,
+                        suspend_expires_at INTEGER,
+                        suspend_on_expire TEXT,
+                        resume_reason TEXT,
+                        resume_data TEXT,
+                        wait_signal TEXT,
+                        idempotency_key TEXT,
+                        idempotency_expires_at INTEGER,
 
                         root_id INTEGER,
                         parent_id INTEGER,
@@ -102,7 +218,8 @@ class SQLiteAdapter extends BaseDBAdapter {
                         completed_children INTEGER DEFAULT 0,
                         worker_id TEXT,
                         start_time INTEGER,
-                        context BLOB
+                        context BLOB,
+                        cancel_reason TEXT
                     );
 
                     CREATE TABLE IF NOT EXISTS fib_flow_task_events (
@@ -145,6 +262,28 @@ class SQLiteAdapter extends BaseDBAdapter {
                         meta TEXT
                     );
 
+                    CREATE TABLE IF NOT EXISTS fib_flow_task_limits (
+                        name TEXT PRIMARY KEY,
+                        updated_at INTEGER NOT NULL,
+                        window_start INTEGER,
+                        window_count INTEGER DEFAULT 0,
+                        previous_count INTEGER DEFAULT 0
+                    );
+
+                    CREATE TABLE IF NOT EXISTS fib_flow_task_signals (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        task_id INTEGER NOT NULL,
+                        name TEXT NOT NULL,
+                        data TEXT,
+                        created_at INTEGER NOT NULL,
+                        consumed_at INTEGER
+                    );
+                `);
+
+            this._upgradeTasksTable(conn);
+            this._addMissingColumns(conn, 'fib_flow_task_limits', ADDED_LIMIT_COLUMNS);
+
+            conn.execute(`
                     -- Task scheduling index: Supports high-frequency task claiming queries
                     CREATE INDEX IF NOT EXISTS idx_task_scheduling 
                     ON fib_flow_tasks(status, next_run_time, priority);
@@ -168,6 +307,14 @@ class SQLiteAdapter extends BaseDBAdapter {
                     CREATE INDEX IF NOT EXISTS idx_task_root_created
                     ON fib_flow_tasks(root_id, created_at);
 
+                    -- Idempotency index: One task per name and idempotency key
+                    CREATE UNIQUE INDEX IF NOT EXISTS idx_task_idempotency
+                    ON fib_flow_tasks(name, idempotency_key);
+
+                    -- Schedule index: One cron task per schedule ID
+                    CREATE UNIQUE INDEX IF NOT EXISTS idx_task_schedule
+                    ON fib_flow_tasks(schedule_id);
+
                     CREATE INDEX IF NOT EXISTS idx_task_events_task_time
                     ON fib_flow_task_events(task_id, event_time);
 
@@ -209,10 +356,49 @@ class SQLiteAdapter extends BaseDBAdapter {
 
                     CREATE INDEX IF NOT EXISTS idx_task_workers_pod_status
                     ON fib_flow_workers(pod_id, status);
+
+                    CREATE INDEX IF NOT EXISTS idx_task_signals_task_name
+                    ON fib_flow_task_signals(task_id, name, consumed_at);
                 `);
             logger.info(`[SQLiteAdapter] Database schema setup completed successfully`);
         });
     }
+
+    /**
+     * Upgrade a tasks table created by an older version
+     * SQLite cannot alter a CHECK constraint, so a table whose status check predates the
+     * cancelled status is rebuilt with the widened check and its rows copied over.
+     * Missing columns are then added with ALTER TABLE.
+     * 
+     * @private
+     * @param {Object} conn - Database connection object
+     */
+    _upgradeTasksTable(conn) {
+        const [table] = conn.execute(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'fib_flow_tasks'`);
+        if (table.sql.indexOf(`'cancelled'`) === -1) {
+            logger.info(`[SQLiteAdapter] Rebuilding tasks table to allow the cancelled status`);
+            conn.trans(() => {
+                conn.execute(`ALTER TABLE fib_flow_tasks RENAME TO fib_flow_tasks_old`);
+                conn.execute(table.sql.replace(`'suspended')`, `'suspended', 'cancelled')`));
+                conn.execute(`INSERT INTO fib_flow_tasks SELECT * FROM fib_flow_tasks_old`);
+                conn.execute(`DROP TABLE fib_flow_tasks_old`);
+            });
+        }
+
+        this._addMissingColumns(conn, 'fib_flow_tasks', ADDED_TASK_COLUMNS);
+    }
+
+    /**
+     * List the columns of a table using PRAGMA table_info
+     * 
+     * @protected
+     * @param {Object} conn - Database connection object
+     * @param {string} table - Table name
+     * @returns {string[]} Column names of the table
+     */
+    _getColumnNames(conn, table) {
+        return conn.execute(`PRAGMA table_info(${table})`).map(column => column.name);
+    }
 }
 
 module.exports = SQLiteAdapter;
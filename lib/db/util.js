@@ -1,3 +1,5 @@
+const parser = require('cron-parser');
+
 /**
  * Parse task payload and result based on task status
  * For completed tasks, parse result as JSON
@@ -17,6 +19,33 @@ function parseTask(task) {
         }
     }
 
+    // Parse the retry policy if it's stored as string
+    if (typeof task.retry_policy === 'string') {
+        try {
+            task.retry_policy = JSON.parse(task.retry_policy);
+        } catch (e) {
+            // Keep original retry policy if parsing fails
+        }
+    }
+
+    // Parse the allowed execution windows if they are stored as string
+    if (typeof task.allowed_windows === 'string') {
+        try {
+            task.allowed_windows = JSON.parse(task.allowed_windows);
+        } catch (e) {
+            // Keep original windows if parsing fails
+        }
+    }
+
+    // Parse the data passed to resumeTask if it's stored as string
+    if (typeof task.resume_data === 'string') {
+        try {
+            task.resume_data = JSON.parse(task.resume_data);
+        } catch (e) {
+            // Keep original resume data if parsing fails
+        }
+    }
+
     // Parse the result based on task status
     if (task.status === 'completed' || task.stage === 0) {
         // For completed tasks, try to parse result as JSON
@@ -64,6 +93,519 @@ function parseTask(task) {
     return task;
 }
 
+const RETRY_STRATEGIES = ['fixed', 'linear', 'exponential'];
+// Upper bound of any retry delay, so policies without max_interval cannot grow without limit
+const MAX_RETRY_DELAY = 30 * 24 * 3600;
+
+/**
+ * Validate a retry policy and fill in strategy defaults
+ * @param {object} policy - Retry policy
+ * @param {string} [policy.strategy='exponential'] - 'fixed', 'linear' or 'exponential'
+ * @param {number} [policy.base=1] - Delay in seconds before the first retry
+ * @param {number} [policy.factor] - Growth per retry: added seconds for linear (default: base),
+ *                                   multiplier for exponential (default: 2)
+ * @param {number} [policy.max_interval] - Upper bound of the delay in seconds; delays never
+ *                                         exceed 30 days either way
+ * @param {boolean|number} [policy.jitter=false] - Randomly shorten the delay by up to this
+ *                                                 fraction (true means 1)
+ * @returns {object|null} Normalized retry policy, or null when no policy is given
+ * @throws {Error} If the policy is invalid
+ */
+function normalizeRetryPolicy(policy) {
+    if (policy === undefined || policy === null) {
+        return null;
+    }
+
+    if (typeof policy !== 'object' || Array.isArray(policy)) {
+        throw new Error('retry_policy must be an object');
+    }
+
+    const strategy = policy.strategy === undefined ? 'exponential' : policy.strategy;
+    if (!RETRY_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unsupported retry strategy: ${strategy}`);
+    }
+
+    const base = policy.base === undefined ? 1 : Number(policy.base);
+    if (!Number.isFinite(base) || base < 0) {
+        throw new Error('retry_policy base must be a non-negative number');
+    }
+
+    const normalized = { strategy, base };
+
+    if (strategy !== 'fixed') {
+        const factor = policy.factor === undefined
+            ? (strategy === 'linear' ? base : 2)
+            : Number(policy.factor);
+        if (!Number.isFinite(factor) || factor < 0 || (strategy === 'exponential' && factor < 1)) {
+            throw new Error(`retry_policy factor is invalid for ${strategy} strategy`);
+        }
+        normalized.factor = factor;
+    }
+
+    if (policy.max_interval !== undefined && policy.max_interval !== null) {
+        const maxInterval = Number(policy.max_interval);
+        if (!Number.isFinite(maxInterval) || maxInterval < 0) {
+            throw new Error('retry_policy max_interval must be a non-negative number');
+        }
+        normalized.max_interval = maxInterval;
+    }
+
+    const jitter = policy.jitter === true ? 1 : policy.jitter === undefined || policy.jitter === false ? 0 : Number(policy.jitter);
+    if (!Number.isFinite(jitter) || jitter < 0 || jitter > 1) {
+        throw new Error('retry_policy jitter must be a boolean or a number between 0 and 1');
+    }
+    normalized.jitter = jitter;
+
+    return normalized;
+}
+
+/**
+ * Compute the delay before a retry
+ * @param {object|null} policy - Normalized retry policy
+ * @param {number} retryNumber - 1-based number of the retry being scheduled
+ * @param {number} [fallbackInterval=0] - Fixed retry_interval used when no policy is set
+ * @returns {number} Delay in whole seconds
+ */
+function computeRetryDelay(policy, retryNumber, fallbackInterval = 0) {
+    if (!policy) {
+        return fallbackInterval || 0;
+    }
+
+    let delay;
+    switch (policy.strategy) {
+        case 'linear':
+            delay = policy.base + policy.factor * (retryNumber - 1);
+            break;
+        case 'exponential':
+            delay = policy.base * Math.pow(policy.factor, retryNumber - 1);
+            break;
+        default:
+            delay = policy.base;
+    }
+
+    if (policy.max_interval !== undefined && delay > policy.max_interval) {
+        delay = policy.max_interval;
+    }
+    if (!(delay <= MAX_RETRY_DELAY)) {
+        delay = MAX_RETRY_DELAY;
+    }
+
+    if (policy.jitter) {
+        delay -= delay * policy.jitter * Math.random();
+    }
+
+    return Math.max(0, Math.round(delay));
+}
+
+/**
+ * Validate a rate limit
+ * @param {object} rateLimit - Rate limit
+ * @param {number} rateLimit.limit - Maximum number of claims per interval
+ * @param {number} rateLimit.interval - Window length in seconds
+ * @returns {object|null} Normalized rate limit, or null when no rate limit is given
+ * @throws {Error} If the rate limit is invalid
+ */
+function normalizeRateLimit(rateLimit) {
+    if (rateLimit === undefined || rateLimit === null) {
+        return null;
+    }
+
+    if (typeof rateLimit !== 'object' || Array.isArray(rateLimit)) {
+        throw new Error('rate_limit must be an object');
+    }
+
+    const limit = Number(rateLimit.limit);
+    if (!Number.isInteger(limit) || limit <= 0) {
+        throw new Error('rate_limit limit must be a positive integer');
+    }
+
+    const interval = Number(rateLimit.interval);
+    if (!Number.isInteger(interval) || interval <= 0) {
+        throw new Error('rate_limit interval must be a positive integer number of seconds');
+    }
+
+    return { limit, interval };
+}
+
+/**
+ * Compute the sliding window usage of a rate limit.
+ * Windows are aligned to the interval; the count of the previous window is weighted
+ * by how much of it still overlaps the sliding window ending now.
+ * @param {object|null} row - Stored window state (window_start, window_count, previous_count)
+ * @param {object} rateLimit - Normalized rate limit
+ * @param {number} now - Current time (Unix seconds)
+ * @returns {object} Window state: window_start, window_count, previous_count, used, remaining, reset_at
+ */
+function computeRateLimitWindow(row, rateLimit, now) {
+    const { limit, interval } = rateLimit;
+    const windowStart = now - now % interval;
+    const storedStart = row && row.window_start !== null && row.window_start !== undefined
+        ? Number(row.window_start)
+        : null;
+
+    let windowCount = 0;
+    let previousCount = 0;
+    if (storedStart === windowStart) {
+        windowCount = Number(row.window_count) || 0;
+        previousCount = Number(row.previous_count) || 0;
+    } else if (storedStart === windowStart - interval) {
+        previousCount = Number(row.window_count) || 0;
+    }
+
+    const overlap = (interval - (now - windowStart)) / interval;
+    const used = Math.ceil(previousCount * overlap + windowCount);
+
+    return {
+        window_start: windowStart,
+        window_count: windowCount,
+        previous_count: previousCount,
+        used,
+        remaining: Math.max(0, limit - used),
+        reset_at: windowStart + interval
+    };
+}
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+// Upper bound on back-to-back blackouts merged into one
+const MAX_BLACKOUT_CHAIN = 100;
+
+/**
+ * Get the start of a calendar day in a timezone
+ * @param {string} date - Day as YYYY-MM-DD
+ * @param {string|null} timezone - IANA timezone, null for the host timezone
+ * @param {number} [offsetDays=0] - Days added to the date
+ * @returns {number} Midnight of the day (Unix seconds)
+ * @throws {Error} If the date is invalid
+ */
+function getDayStart(date, timezone, offsetDays = 0) {
+    const match = DATE_PATTERN.exec(date);
+    const day = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+    if (!day || day.getUTCDate() !== Number(match[3]) || day.getUTCMonth() !== Number(match[2]) - 1) {
+        throw new Error(`Invalid calendar date: ${date}`);
+    }
+    day.setUTCDate(day.getUTCDate() + offsetDays);
+
+    // cron-parser resolves the UTC offset of midnight, including daylight saving changes
+    const interval = parser.parseExpression(`0 0 0 ${day.getUTCDate()} ${day.getUTCMonth() + 1} *`, {
+        ...(timezone ? { tz: timezone } : {}),
+        currentDate: new Date(day.getTime() - 2 * 86400 * 1000)
+    });
+    return Math.floor(interval.next().getTime() / 1000);
+}
+
+/**
+ * Convert a calendar range bound to Unix seconds
+ * @param {Date|number|string} value - Date, Unix seconds or YYYY-MM-DD
+ * @param {string|null} timezone - Timezone of YYYY-MM-DD days
+ * @param {boolean} isEnd - Whether a YYYY-MM-DD day ends the range, which then includes that day
+ * @returns {number} Unix seconds
+ */
+function normalizeCalendarTime(value, timezone, isEnd) {
+    if (typeof value === 'string') {
+        return getDayStart(value, timezone, isEnd ? 1 : 0);
+    }
+
+    const seconds = value instanceof Date ? Math.floor(value.getTime() / 1000) : value;
+    if (!Number.isInteger(seconds) || seconds < 0) {
+        throw new Error('Calendar range bounds must be a Date, Unix seconds or YYYY-MM-DD');
+    }
+
+    return seconds;
+}
+
+/**
+ * Validate a calendar of blackout periods
+ * @param {Array<string|object>} entries - Blackout periods, each one of:
+ *   - 'YYYY-MM-DD': the whole day
+ *   - { start, end }: from start (inclusive) to end (exclusive); Date, Unix seconds, or
+ *     YYYY-MM-DD days, in which case the end day is included
+ *   - { cron, duration }: a recurring window of duration seconds starting at every cron fire
+ * @param {object} [options] - Calendar options
+ * @param {string} [options.timezone] - IANA timezone of days and window cron expressions (default: host timezone)
+ * @returns {object} Normalized calendar: timezone, ranges ({ start, end }) and windows ({ cron_expr, duration, timezone })
+ * @throws {Error} If an entry is invalid
+ */
+function normalizeCalendar(entries, options = {}) {
+    if (!Array.isArray(entries)) {
+        throw new Error('Calendar entries must be an array');
+    }
+
+    const timezone = options.timezone || null;
+    if (timezone) {
+        try {
+            parser.parseExpression('0 0 * * *', { tz: timezone }).next();
+        } catch (e) {
+            throw new Error(`Invalid calendar timezone: ${timezone}`);
+        }
+    }
+
+    const calendar = { timezone, ranges: [], windows: [] };
+    for (const entry of entries) {
+        if (typeof entry === 'string') {
+            calendar.ranges.push({
+                start: getDayStart(entry, timezone),
+                end: getDayStart(entry, timezone, 1)
+            });
+        } else if (entry && typeof entry === 'object' && entry.cron !== undefined) {
+            try {
+                parser.parseExpression(entry.cron);
+            } catch (e) {
+                throw new Error(`Invalid calendar window cron expression: ${entry.cron}`);
+            }
+            if (!Number.isInteger(entry.duration) || entry.duration <= 0) {
+                throw new Error('Calendar window duration must be a positive integer number of seconds');
+            }
+            calendar.windows.push({ cron_expr: entry.cron, duration: entry.duration, timezone });
+        } else if (entry && typeof entry === 'object' && entry.start !== undefined && entry.end !== undefined) {
+            const start = normalizeCalendarTime(entry.start, timezone, false);
+            const end = normalizeCalendarTime(entry.end, timezone, true);
+            if (end <= start) {
+                throw new Error('Calendar range end must be after its start');
+            }
+            calendar.ranges.push({ start, end });
+        } else {
+            throw new Error('Calendar entries must be YYYY-MM-DD days, { start, end } ranges or { cron, duration } windows');
+        }
+    }
+
+    return calendar;
+}
+
+/**
+ * Find the latest end of the recurring windows a time falls in
+ * @param {Array<object>} windows - Windows of duration seconds starting at every fire of cron_expr in timezone
+ * @param {number} time - Unix seconds
+ * @returns {number|null} End of the window (Unix seconds), or null when the time is in no window
+ */
+function getRecurringWindowEnd(windows, time) {
+    let end = null;
+    for (const window of windows) {
+        // The latest window start at or before the time
+        const interval = parser.parseExpression(window.cron_expr, {
+            ...(window.timezone ? { tz: window.timezone } : {}),
+            currentDate: new Date((time + 1) * 1000)
+        });
+        const start = Math.floor(interval.prev().getTime() / 1000);
+        if (time < start + window.duration) {
+            end = Math.max(end || 0, start + window.duration);
+        }
+    }
+
+    return end;
+}
+
+/**
+ * Find the end of the blackout a time falls in. Back-to-back or overlapping blackouts
+ * are merged, so the returned time is outside every blackout of the calendar.
+ * @param {object} calendar - Normalized calendar
+ * @param {number} time - Unix seconds
+ * @returns {number|null} End of the blackout (Unix seconds), or null when the time is not blacked out
+ */
+function getCalendarBlackoutEnd(calendar, time) {
+    let blackoutEnd = null;
+    let current = time;
+    for (let i = 0; i < MAX_BLACKOUT_CHAIN; i++) {
+        let end = null;
+        for (const range of calendar.ranges) {
+            if (range.start <= current && current < range.end) {
+                end = Math.max(end || 0, range.end);
+            }
+        }
+        const windowEnd = getRecurringWindowEnd(calendar.windows, current);
+        if (windowEnd !== null) {
+            end = Math.max(end || 0, windowEnd);
+        }
+
+        if (end === null) {
+            break;
+        }
+        blackoutEnd = current = end;
+    }
+
+    return blackoutEnd;
+}
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_OF_DAY_PATTERN = /^(\d{2}):(\d{2})$/;
+
+/**
+ * Parse a weekday name (sun..sat) or number (0..6, Sunday first)
+ * @param {string|number} value - Weekday
+ * @returns {number} Weekday number
+ */
+function parseWeekday(value) {
+    const day = typeof value === 'number' ? value : WEEKDAYS.indexOf(String(value).trim().toLowerCase().slice(0, 3));
+    if (!Number.isInteger(day) || day < 0 || day > 6) {
+        throw new Error(`Invalid allowed window day: ${value}`);
+    }
+
+    return day;
+}
+
+/**
+ * Parse the days of an allowed window: 'mon-fri', 'sat,sun', 'fri-mon' or an array of weekdays
+ * @param {string|Array<string|number>} [days] - Days, all days when not given
+ * @returns {Array<number>} Sorted weekday numbers, Sunday = 0
+ */
+function parseWindowDays(days) {
+    if (days === undefined || days === null) {
+        return [0, 1, 2, 3, 4, 5, 6];
+    }
+
+    const tokens = Array.isArray(days) ? days : String(days).split(',');
+    const result = new Set();
+    for (const token of tokens) {
+        const range = typeof token === 'string' ? token.split('-') : [token];
+        if (range.length > 2) {
+            throw new Error(`Invalid allowed window day: ${token}`);
+        }
+        const first = parseWeekday(range[0]);
+        const last = range.length === 2 ? parseWeekday(range[1]) : first;
+        // Ranges may wrap around the week, e.g. fri-mon
+        for (let day = first; ; day = (day + 1) % 7) {
+            result.add(day);
+            if (day === last) {
+                break;
+            }
+        }
+    }
+
+    return Array.from(result).sort((a, b) => a - b);
+}
+
+/**
+ * Parse a time of day (HH:MM, 00:00 to 24:00) into minutes
+ * @param {string} value - Time of day
+ * @param {string} fieldName - Field name for error messages
+ * @returns {number} Minutes after midnight
+ */
+function parseTimeOfDay(value, fieldName) {
+    const match = TIME_OF_DAY_PATTERN.exec(value);
+    const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+    if (!match || Number(match[2]) > 59 || minutes > 24 * 60) {
+        throw new Error(`Allowed window ${fieldName} must be a time of day as HH:MM`);
+    }
+
+    return minutes;
+}
+
+/**
+ * Validate the allowed execution windows of a task
+ * @param {Array<object>} windows - Windows the task may run in; each has days ('mon-fri', 'sat,sun',
+ *   default every day), from and to (HH:MM; a window ending at or before its start ends the next day)
+ *   and an optional IANA timezone (default: host timezone)
+ * @returns {Array<object>|null} Normalized windows ({ days, from, to, timezone }), or null when none are given
+ * @throws {Error} If a window is invalid
+ */
+function normalizeAllowedWindows(windows) {
+    if (windows === undefined || windows === null) {
+        return null;
+    }
+
+    if (!Array.isArray(windows) || windows.length === 0) {
+        throw new Error('allowed_windows must be a non-empty array');
+    }
+
+    return windows.map(window => {
+        if (!window || typeof window !== 'object') {
+            throw new Error('allowed_windows entries must be objects');
+        }
+
+        const from = parseTimeOfDay(window.from, 'from');
+        const to = parseTimeOfDay(window.to, 'to');
+        if (from === 24 * 60) {
+            throw new Error('Allowed window from must be a time of day as HH:MM');
+        }
+
+        const timezone = window.timezone || null;
+        if (timezone) {
+            try {
+                parser.parseExpression('0 0 * * *', { tz: timezone }).next();
+            } catch (e) {
+                throw new Error(`Invalid allowed window timezone: ${timezone}`);
+            }
+        }
+
+        return {
+            days: parseWindowDays(window.days),
+            from: window.from,
+            to: window.to,
+            timezone
+        };
+    });
+}
+
+/**
+ * Express a normalized allowed window as a recurring window
+ * @param {object} window - Normalized allowed window
+ * @returns {object} Recurring window: cron_expr of its openings, duration in seconds, timezone
+ */
+function toRecurringWindow(window) {
+    const from = parseTimeOfDay(window.from, 'from');
+    const to = parseTimeOfDay(window.to, 'to');
+    const minutes = to > from ? to - from : to + 24 * 60 - from;
+    return {
+        cron_expr: `0 ${from % 60} ${Math.floor(from / 60)} * * ${window.days.join(',')}`,
+        duration: minutes * 60,
+        timezone: window.timezone
+    };
+}
+
+/**
+ * Find the end of the allowed window a time falls in. Back-to-back windows are merged.
+ * @param {Array<object>} windows - Normalized allowed windows
+ * @param {number} time - Unix seconds
+ * @returns {number|null} Time the window closes (Unix seconds), or null when the time is outside every window
+ */
+function getAllowedWindowEnd(windows, time) {
+    const recurringWindows = windows.map(toRecurringWindow);
+    let windowEnd = null;
+    let current = time;
+    for (let i = 0; i < MAX_BLACKOUT_CHAIN; i++) {
+        const end = getRecurringWindowEnd(recurringWindows, current);
+        if (end === null) {
+            break;
+        }
+        windowEnd = current = end;
+    }
+
+    return windowEnd;
+}
+
+/**
+ * Find when a task limited to allowed windows may run next
+ * @param {Array<object>} windows - Normalized allowed windows
+ * @param {number} time - Unix seconds
+ * @returns {number|null} Next window opening (Unix seconds), or null when the time is inside a window
+ */
+function getNextWindowOpening(windows, time) {
+    const recurringWindows = windows.map(toRecurringWindow);
+    if (getRecurringWindowEnd(recurringWindows, time) !== null) {
+        return null;
+    }
+
+    let opening = null;
+    for (const window of recurringWindows) {
+        const interval = parser.parseExpression(window.cron_expr, {
+            ...(window.timezone ? { tz: window.timezone } : {}),
+            currentDate: new Date(time * 1000)
+        });
+        const next = Math.floor(interval.next().getTime() / 1000);
+        opening = opening === null ? next : Math.min(opening, next);
+    }
+
+    return opening;
+}
+
 module.exports = {
-    parseTask
+    parseTask,
+    normalizeRetryPolicy,
+    computeRetryDelay,
+    normalizeRateLimit,
+    computeRateLimitWindow,
+    normalizeCalendar,
+    getCalendarBlackoutEnd,
+    normalizeAllowedWindows,
+    getAllowedWindowEnd,
+    getNextWindowOpening
 };
\ No newline at end of file
@@ -10,5 +10,6 @@ const TaskManager = require('./task.js');
 module.exports = {
     TaskManager,
     Suspension: TaskManager.Suspension,
+    NonRetryableError: TaskManager.NonRetryableError,
     ...db
 };
@@ -4,9 +4,19 @@
  */
 
 const coroutine = require('coroutine');
+const { EventEmitter } = require('events');
 const parser = require('cron-parser');
 const { createAdapter } = require('./db/index.js');
 const createLogger = require('./logger');
+const {
+    normalizeRetryPolicy,
+    normalizeRateLimit,
+    normalizeCalendar,
+    getCalendarBlackoutEnd,
+    normalizeAllowedWindows,
+    getAllowedWindowEnd,
+    getNextWindowOpening
+} = require('./db/util.js');
 
 // Create logger for task operations
 const logger = createLogger('fib-flow');
@@ -25,7 +35,7 @@ function normalizeRetentionOptions(retention, fallbackExpireTime) {
     }
 
     if (!Object.prototype.hasOwnProperty.call(normalizedRetention, 'statuses')) {
-        normalizedRetention.statuses = ['completed', 'permanently_failed'];
+        normalizedRetention.statuses = ['completed', 'permanently_failed', 'cancelled'];
     }
 
     return normalizedRetention;
@@ -60,6 +70,8 @@ function normalizeMetadata(metadata, fieldName) {
     return metadata;
 }
 
+const SUSPENSION_EXPIRY_ACTIONS = ['cancel', 'resume', 'fail'];
+
 /**
  * Container class for suspending a task. Returning this from a task handler
  * transitions the task to 'suspended' status. The task can later be resumed
@@ -73,17 +85,33 @@ class Suspension {
      * @param {string} options.reason - Required suspend reason, e.g. 'awaiting_approval'
      * @param {object} [options.metadata] - Optional metadata describing the suspension
      * @param {Buffer|null} [options.context] - Binary snapshot data persisted to the task's context column
+     * @param {number} [options.expires_in] - Seconds after which the suspension expires
+     * @param {string} [options.on_expire] - Action on expiry: 'cancel' (default), 'resume' or 'fail'
      */
-    constructor({ reason, metadata, context } = {}) {
+    constructor({ reason, metadata, context, expires_in, on_expire } = {}) {
         if (!reason || typeof reason !== 'string' || !reason.trim()) {
             throw new Error('Suspension requires a non-empty reason');
         }
         if (context && !(context instanceof Uint8Array)) {
             throw new Error('Context must be a Buffer or Uint8Array');
         }
+        if (expires_in === undefined || expires_in === null) {
+            if (on_expire !== undefined && on_expire !== null) {
+                throw new Error('on_expire requires expires_in');
+            }
+        } else {
+            if (typeof expires_in !== 'number' || !Number.isFinite(expires_in) || expires_in <= 0) {
+                throw new Error('expires_in must be a positive number of seconds');
+            }
+            if (!SUSPENSION_EXPIRY_ACTIONS.includes(on_expire ?? 'cancel')) {
+                throw new Error(`Invalid suspension expiry action: ${on_expire}`);
+            }
+        }
         this.reason = reason.trim();
         this.metadata = metadata;
         this.context = context || null;
+        this.expires_in = expires_in ? Math.ceil(expires_in) : null;
+        this.on_expire = expires_in ? (on_expire ?? 'cancel') : null;
     }
 }
 
@@ -107,6 +135,273 @@ class SubTasks extends Suspension {
     }
 }
 
+/**
+ * A Suspension that ends by itself: the task suspends with reason 'timer' and the
+ * timeout sweep resumes it with an advanced stage once resume_at has passed.
+ * Created via task.sleep(seconds, context) and task.sleepUntil(time, context).
+ */
+class Timer extends Suspension {
+    /**
+     * Create a new Timer instance
+     * @param {number} resumeAt - Time the task is resumed (Unix seconds)
+     * @param {Buffer|null} context - Binary context data to be stored with the task
+     */
+    constructor(resumeAt, context = null) {
+        super({ reason: 'timer', context });
+        this.resume_at = resumeAt;
+    }
+}
+
+/**
+ * A Suspension that waits for an external signal: the task suspends with reason
+ * 'awaiting_signal' and is resumed with the signal data as task.resume_data once
+ * TaskManager#signal(taskId, name, data) delivers a signal of that name.
+ * Created via task.waitForSignal(name, options).
+ */
+class SignalWait extends Suspension {
+    /**
+     * Create a new SignalWait instance
+     * @param {string} name - Signal name
+     * @param {object} [options] - Wait options
+     * @param {number} [options.timeout] - Seconds to wait; the task then resumes with resume_reason 'suspension_expired'
+     * @param {Buffer|null} [options.context] - Binary context data to be stored with the task
+     */
+    constructor(name, { timeout, context } = {}) {
+        super({
+            reason: 'awaiting_signal',
+            context,
+            expires_in: timeout,
+            on_expire: timeout === undefined || timeout === null ? undefined : 'resume'
+        });
+        this.signal = normalizeTrimmedString(name, 'Signal name');
+    }
+}
+
+/**
+ * Error signalling that a task failed in a way retrying cannot fix (e.g. an invalid
+ * payload). Throwing it from a handler skips the remaining retry attempts: async tasks
+ * move straight to 'permanently_failed', cron tasks to 'paused'.
+ */
+class NonRetryableError extends Error {
+    /**
+     * Create a new NonRetryableError instance
+     * @param {string} message - Error message
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'NonRetryableError';
+    }
+}
+
+/**
+ * Marker returned from a task handler via task.retryAfter(seconds, reason) to run
+ * the task again later without consuming a retry attempt (e.g. on HTTP 429/503).
+ */
+class Deferral {
+    /**
+     * Create a new Deferral instance
+     * @param {number} seconds - Delay in seconds before the task runs again
+     * @param {string} [reason] - Optional reason recorded in the task_deferred event
+     */
+    constructor(seconds, reason) {
+        const delay = Number(seconds);
+        if (!Number.isFinite(delay) || delay < 0) {
+            throw new Error('retryAfter requires a non-negative number of seconds');
+        }
+        this.seconds = Math.ceil(delay);
+        this.reason = reason || null;
+    }
+}
+
+function normalizeMaxDeferrals(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error('max_deferrals must be a non-negative integer');
+    }
+
+    return value;
+}
+
+const MISFIRE_POLICIES = ['fire_once', 'skip', 'catch_up'];
+const DEFAULT_MISFIRE_LIMIT = 100;
+const OVERLAP_POLICIES = ['skip', 'allow'];
+// Run instances in these statuses have not finished yet
+const ACTIVE_RUN_STATUSES = ['pending', 'running', 'failed', 'timeout', 'suspended'];
+const INTERVAL_ANCHORS = ['fixed_rate', 'fixed_delay'];
+const DEFAULT_PREVIEW_COUNT = 10;
+const MAX_PREVIEW_COUNT = 1000;
+// Upper bound on blackouts skipped while looking for the next run of a schedule
+const MAX_CALENDAR_SKIPS = 1000;
+const WINDOW_OVERRUN_POLICIES = ['finish', 'suspend'];
+// Statuses a task never leaves on its own
+const FINAL_STATUSES = ['completed', 'permanently_failed', 'cancelled'];
+const CALL_TIMEOUT_ACTIONS = ['continue', 'cancel'];
+// Lifecycle events that are also reported for the root task of a workflow
+const WORKFLOW_EVENTS = {
+    'task:completed': 'workflow:completed',
+    'task:permanently_failed': 'workflow:failed',
+    'task:cancelled': 'workflow:cancelled'
+};
+
+function normalizeMisfirePolicy(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+
+    if (!MISFIRE_POLICIES.includes(value)) {
+        throw new Error(`Invalid misfire policy: ${value}`);
+    }
+
+    return value;
+}
+
+function normalizeMisfireLimit(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+
+    if (!Number.isInteger(value) || value <= 0) {
+        throw new Error('misfire_limit must be a positive integer');
+    }
+
+    return value;
+}
+
+function normalizeOverlapPolicy(runHistory, overlapPolicy) {
+    if (!runHistory) {
+        if (overlapPolicy !== undefined && overlapPolicy !== null) {
+            throw new Error('overlap_policy requires run_history');
+        }
+        return null;
+    }
+
+    const policy = overlapPolicy ?? 'skip';
+    if (!OVERLAP_POLICIES.includes(policy)) {
+        throw new Error(`Invalid overlap policy: ${policy}`);
+    }
+
+    return policy;
+}
+
+function normalizeScheduleTime(value, fieldName) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+
+    const seconds = value instanceof Date ? Math.floor(value.getTime() / 1000) : value;
+    if (!Number.isInteger(seconds) || seconds < 0) {
+        throw new Error(`${fieldName} must be a Date or a Unix timestamp in seconds`);
+    }
+
+    return seconds;
+}
+
+function normalizeMaxRuns(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+
+    if (!Number.isInteger(value) || value <= 0) {
+        throw new Error('max_runs must be a positive integer');
+    }
+
+    return value;
+}
+
+function normalizeIntervalSeconds(value) {
+    if (!Number.isInteger(value) || value <= 0) {
+        throw new Error('Interval must be a positive integer number of seconds');
+    }
+
+    return value;
+}
+
+function normalizeIntervalAnchor(value) {
+    const anchor = value ?? 'fixed_rate';
+    if (!INTERVAL_ANCHORS.includes(anchor)) {
+        throw new Error(`Invalid interval anchor: ${anchor}`);
+    }
+
+    return anchor;
+}
+
+function normalizeWindowOverrun(allowedWindows, windowOverrun) {
+    if (!allowedWindows) {
+        if (windowOverrun !== undefined && windowOverrun !== null) {
+            throw new Error('window_overrun requires allowed_windows');
+        }
+        return null;
+    }
+
+    const policy = windowOverrun ?? 'finish';
+    if (!WINDOW_OVERRUN_POLICIES.includes(policy)) {
+        throw new Error(`Invalid window overrun policy: ${policy}`);
+    }
+
+    return policy;
+}
+
+/**
+ * Name of the lifecycle event emitted for a status transition
+ * @param {string} fromStatus - Status before the transition
+ * @param {string} toStatus - Status after the transition
+ * @returns {string} Event name such as 'task:completed' or 'task:retry'
+ */
+function getLifecycleEvent(fromStatus, toStatus) {
+    if (toStatus === 'pending') {
+        if (fromStatus === 'suspended') {
+            return 'task:resumed';
+        }
+        if (fromStatus === 'failed' || fromStatus === 'timeout') {
+            return 'task:retry';
+        }
+        return 'task:rescheduled';
+    }
+
+    return `task:${toStatus}`;
+}
+
+/**
+ * Result of a task in a final status
+ * @param {Object} task - Task that is completed, permanently_failed or cancelled
+ * @returns {*} Parsed result of a completed task
+ * @throws {Error} The stored error of a failed or cancelled task
+ */
+function getFinalTaskResult(task) {
+    if (task.status === 'completed') {
+        return task.result;
+    }
+
+    throw new Error(task.error || `Task ${task.id} ended in status ${task.status}`);
+}
+
+function normalizeWaitTimeout(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+        throw new Error('timeout must be a positive number of seconds');
+    }
+
+    return value;
+}
+
+function normalizePreviewCount(value) {
+    if (value === undefined || value === null) {
+        return DEFAULT_PREVIEW_COUNT;
+    }
+
+    if (!Number.isInteger(value) || value <= 0 || value > MAX_PREVIEW_COUNT) {
+        throw new Error(`count must be an integer between 1 and ${MAX_PREVIEW_COUNT}`);
+    }
+
+    return value;
+}
+
 function cloneTaskOptions(options = {}) {
     return {
         ...options
@@ -134,20 +429,48 @@ function createHandlerEntry(config, runtime) {
     };
 }
 
-function snapshotRegistry(handlers) {
+function snapshotRegistry(handlers, middleware = []) {
     const registry = new Map();
 
     for (const [taskName, entry] of handlers.entries()) {
-        registry.set(taskName, createExecutionEntry(entry));
+        registry.set(taskName, {
+            ...createExecutionEntry(entry),
+            // Global middleware runs outside task-specific middleware, each in registration order
+            middleware: [
+                ...middleware.filter(item => item.task_name === null),
+                ...middleware.filter(item => item.task_name === taskName)
+            ].map(item => item.fn)
+        });
     }
 
     return registry;
 }
 
 /**
- * TaskManager class handles task scheduling, execution, and lifecycle management
+ * Wrap a handler in a middleware chain. Each middleware receives the task and a next()
+ * function that runs the rest of the chain and returns its result.
+ * @param {Array<Function>} middleware - Middleware functions, outermost first
+ * @param {Function} handler - Task handler
+ * @returns {Function} Function with the handler signature (task, next)
+ */
+function composeMiddleware(middleware, handler) {
+    return middleware.reduceRight((downstream, fn) => (task, subtasks) => {
+        let called = false;
+        return fn(task, () => {
+            if (called) {
+                throw new Error('next() called multiple times');
+            }
+            called = true;
+            return downstream(task, subtasks);
+        });
+    }, handler);
+}
+
+/**
+ * TaskManager class handles task scheduling, execution, and lifecycle management.
+ * It is an EventEmitter: lifecycle events such as 'task:completed' carry a snapshot of the task.
  */
-class TaskManager {
+class TaskManager extends EventEmitter {
     /**
      * Initialize a new TaskManager instance
      * @param {Object} options - Configuration options
@@ -157,6 +480,8 @@ class TaskManager {
      * @param {number} options.poll_interval - Interval (ms) between task polling (default: 1000)
      * @param {number} options.max_retries - Maximum total attempts for tasks (including initial attempt, default: 3)
      * @param {number} options.retry_interval - Interval between retries
+     * @param {Object} options.retry_policy - Retry backoff policy ({ strategy, base, factor, max_interval, jitter })
+     * @param {number} options.max_deferrals - Maximum task.retryAfter() deferrals before a deferral counts as a failure
      * @param {number} options.timeout - Task timeout in seconds
      * @param {string} options.worker_id - Unique identifier for this worker (auto-generated if not provided)
      * @param {number} options.max_concurrent_tasks - Maximum number of tasks to run simultaneously (default: 10)
@@ -166,10 +491,13 @@ class TaskManager {
     * @param {number} options.worker_heartbeat_interval - Interval (ms) for worker liveness updates
     * @param {number} options.worker_heartbeat_timeout - Worker liveness timeout window in milliseconds
     * @param {boolean} options.recover_running_jobs - Recover orphaned running jobs during startup and peer scans
+    * @param {number} options.misfire_threshold - Seconds a cron run may start late before its misfire policy applies (default: 60)
     * @param {number} options.expire_time - Backward-compatible shortcut for retention expire time
     * @param {object} options.retention - Explicit retention policy
      */
     constructor(options) {
+        super();
+
         if (!options || !Object.prototype.hasOwnProperty.call(options, 'dbConnection') || options.dbConnection == null) {
             throw new Error('TaskManager requires an explicit dbConnection');
         }
@@ -225,7 +553,10 @@ class TaskManager {
             worker_heartbeat_interval: 5000,
             worker_heartbeat_timeout: 30000,
             recover_running_jobs: true,
+            misfire_threshold: 60,
             ...options,
+            retry_policy: normalizeRetryPolicy(options.retry_policy),
+            max_deferrals: normalizeMaxDeferrals(options.max_deferrals),
             expire_time: normalizedRetention.expire_time,
             retention: normalizedRetention
         };
@@ -234,10 +565,15 @@ class TaskManager {
 
         // Initialize internal state tracking for task management
         this.handlers = new Map();
+        this.middleware = [];  // { task_name, fn } entries; task_name null for global middleware
+        this.calendars = new Map();
+        this.unknownCalendars = new Set();  // Calendar names already warned about as not registered
         this.state = 'init';  // Initial state before starting task processing
         this.currentFiber = null;
         this.runningTasks = new Set();
+        this.executingTasks = new Map();
         this.workerActiveState = true;
+        this.taskWaiters = new Map();  // Task ID -> semaphores of fibers blocked in waitFor()
 
         // Set up concurrency control mechanisms to manage task execution
         this.semaphore = new coroutine.Semaphore(this.options.max_concurrent_tasks);
@@ -262,6 +598,8 @@ class TaskManager {
      *                              - payload: Task input data
      *                              - status: Current task status
      *                              - checkTimeout(): Method to check if task has timed out
+     *                              - cancelled: Whether cancellation of the task has been requested
+     *                              - checkCancelled(): Method that throws once cancellation has been requested
      * @throws {Error} When:
      *  - Handler is missing when registering single task
      *  - Invalid handler type provided
@@ -301,6 +639,8 @@ class TaskManager {
             taskOptions = {
                 max_retries: this.options.max_retries,
                 retry_interval: this.options.retry_interval,
+                retry_policy: this.options.retry_policy,
+                max_deferrals: this.options.max_deferrals,
                 timeout: this.options.timeout
             };
         } else if (typeof handler === 'object' && handler.handler) {
@@ -310,17 +650,50 @@ class TaskManager {
             const {
                 max_retries = this.options.max_retries,
                 retry_interval = this.options.retry_interval,
+                retry_policy = this.options.retry_policy, // Backoff strategy replacing the fixed retry_interval
+                max_deferrals = this.options.max_deferrals, // Cap on task.retryAfter() deferrals
                 timeout = this.options.timeout,
                 priority,
                 max_concurrent_tasks, // New option for task-level concurrency
+                global_max_concurrent, // Cluster-wide concurrency limit enforced in claimTask
+                rate_limit, // Cluster-wide throughput cap: { limit, interval }
+                idempotency_ttl, // Dedupe window in seconds for idempotency keys
+                calendar, // Name of a registered calendar whose blackouts the tasks avoid
+                allowed_windows, // Time windows the tasks may start in: [{ days, from, to, timezone }]
+                window_overrun, // Task still running when its window closes: 'finish' or 'suspend'
+                isolate, // Fence abandoned handlers after a hard timeout or window suspension
+                retry_on, // Predicate: only errors it accepts are retried
+                abort_on, // Predicate: errors it accepts are never retried
                 description // Task description
             } = handler;
+            if (global_max_concurrent !== undefined && global_max_concurrent !== null
+                && (!Number.isInteger(global_max_concurrent) || global_max_concurrent <= 0)) {
+                throw new Error('global_max_concurrent must be a positive integer');
+            }
+            if (retry_on !== undefined && typeof retry_on !== 'function') {
+                throw new Error('retry_on must be a function');
+            }
+            if (abort_on !== undefined && typeof abort_on !== 'function') {
+                throw new Error('abort_on must be a function');
+            }
+            const allowedWindows = normalizeAllowedWindows(allowed_windows);
             taskOptions = {
                 max_retries,
                 retry_interval,
+                retry_policy: normalizeRetryPolicy(retry_policy),
+                max_deferrals: normalizeMaxDeferrals(max_deferrals),
                 timeout,
                 priority,
                 max_concurrent_tasks,
+                global_max_concurrent,
+                rate_limit: normalizeRateLimit(rate_limit),
+                idempotency_ttl,
+                calendar,
+                allowed_windows: allowedWindows,
+                window_overrun: normalizeWindowOverrun(allowedWindows, window_overrun),
+                isolate,
+                retry_on,
+                abort_on,
                 description
             };
         } else {
@@ -364,6 +737,70 @@ class TaskManager {
         return deleted ? 1 : 0;
     }
 
+    /**
+     * Register middleware that wraps task handlers, for cross-cutting concerns such as
+     * logging context, tracing or error reporting. Middleware may change the task before
+     * calling next(), return its own result or Suspension without calling next(), and
+     * catch errors thrown by next(). Task attempts that are already executing keep the
+     * middleware captured when they started.
+     * @param {string} [taskName] - Task type the middleware applies to; all task types when omitted
+     * @param {Function} middleware - async (task, next) => result
+     * @throws {Error} If middleware is not a function
+     * @example
+     * taskManager.useMiddleware(async (task, next) => {
+     *   const startTime = Date.now();
+     *   try {
+     *     return await next();
+     *   } finally {
+     *     metrics.timing(task.name, Date.now() - startTime);
+     *   }
+     * });
+     *
+     * taskManager.useMiddleware('billing', async (task, next) => {
+     *   task.payload = decrypt(task.payload);
+     *   return next();
+     * });
+     */
+    useMiddleware(taskName, middleware) {
+        if (typeof taskName === 'function' && middleware === undefined) {
+            middleware = taskName;
+            taskName = null;
+        }
+
+        if (taskName !== null && (typeof taskName !== 'string' || taskName === '')) {
+            throw new Error('Middleware task name must be a non-empty string');
+        }
+        if (typeof middleware !== 'function') {
+            throw new Error('Middleware must be a function');
+        }
+
+        logger.info(`[TaskManager] Registering middleware for ${taskName === null ? 'all task types' : `task type: ${taskName}`}`);
+        this.middleware.push({ task_name: taskName, fn: middleware });
+    }
+
+    /**
+     * Register a named calendar of blackout periods. Cron and interval tasks referencing it
+     * with the calendar option skip runs inside a blackout; async tasks referencing it are
+     * deferred to the end of the blackout when they come due inside one. Register the same
+     * calendars on every worker: a worker that does not know a calendar ignores it.
+     * @param {string} name - Calendar name; registering a name again replaces the calendar
+     * @param {Array<string|Object>} entries - Blackout periods: 'YYYY-MM-DD' days, { start, end } ranges
+     *                                        (Date, Unix seconds or YYYY-MM-DD days) and { cron, duration }
+     *                                        recurring windows of duration seconds
+     * @param {Object} [options] - Calendar options
+     * @param {string} [options.timezone] - IANA timezone of days and window cron expressions (default: host timezone)
+     * @throws {Error} If the name or an entry is invalid
+     * @example
+     * taskManager.registerCalendar('bank-holidays', ['2026-12-25', '2026-12-26'], { timezone: 'Europe/Berlin' });
+     * // Sundays 02:00-04:00
+     * taskManager.registerCalendar('maintenance', [{ cron: '0 0 2 * * 0', duration: 7200 }]);
+     */
+    registerCalendar(name, entries, options = {}) {
+        const calendarName = normalizeTrimmedString(name, 'Calendar name');
+        this.calendars.set(calendarName, normalizeCalendar(entries, options));
+        logger.info(`[TaskManager] Calendar registered: ${calendarName}`);
+    }
+
     /**
      * Submit an asynchronous task for execution
      * @param {string} taskName - Name of the task type to execute
@@ -373,8 +810,16 @@ class TaskManager {
      * @param {number} options.priority - Task priority level
      * @param {number} options.max_retries - Maximum total attempts for this task (including initial attempt)
      * @param {number} options.retry_interval - Interval between retries
+     * @param {Object} options.retry_policy - Retry backoff policy ({ strategy, base, factor, max_interval, jitter })
+     * @param {number} options.max_deferrals - Maximum task.retryAfter() deferrals before a deferral counts as a failure
      * @param {number} options.timeout - Task timeout in seconds
      * @param {string} options.tag - Task tag for categorization
+     * @param {string} options.idempotency_key - Deduplication key; a duplicate submission returns the existing task ID
+     * @param {number} options.idempotency_ttl - Dedupe window in seconds (default: until the task is deleted)
+     * @param {string} options.calendar - Registered calendar; the task never starts inside one of its blackouts
+     * @param {Array<Object>} options.allowed_windows - Time windows the task may start in ({ days, from, to, timezone })
+     * @param {string} options.window_overrun - 'finish' (default) lets a run outlast its window, 'suspend' suspends
+     *                                          it when the window closes and runs the stage again at the next opening
      * @throws {Error} If TaskManager is not running or handler not registered
      * @returns {Promise} Task creation result
      */
@@ -395,7 +840,12 @@ class TaskManager {
         // Calculate precise next execution time considering potential delay
         const now = Math.floor(Date.now() / 1000);
         const delay = defaultOptions.delay || 0;
-        const nextRunTime = now + delay;
+        const allowedWindows = normalizeAllowedWindows(defaultOptions.allowed_windows);
+        const windowOverrun = normalizeWindowOverrun(allowedWindows, defaultOptions.window_overrun);
+        // Outside its allowed windows the task waits for the next opening
+        const nextRunTime = allowedWindows
+            ? (getNextWindowOpening(allowedWindows, now + delay) ?? now + delay)
+            : now + delay;
 
         logger.info(`[TaskManager] Creating async task with nextRunTime: ${nextRunTime}`);
 
@@ -408,8 +858,15 @@ class TaskManager {
             tag: defaultOptions.tag,
             max_retries: defaultOptions.max_retries,
             retry_interval: defaultOptions.retry_interval,
+            retry_policy: normalizeRetryPolicy(defaultOptions.retry_policy),
+            max_deferrals: normalizeMaxDeferrals(defaultOptions.max_deferrals),
             timeout: defaultOptions.timeout,
-            next_run_time: nextRunTime
+            next_run_time: nextRunTime,
+            idempotency_key: defaultOptions.idempotency_key,
+            idempotency_ttl: defaultOptions.idempotency_ttl,
+            calendar: this._validateCalendar(defaultOptions.calendar),
+            allowed_windows: allowedWindows,
+            window_overrun: windowOverrun
         });
 
         logger.info(`[TaskManager] Async task created successfully: ${task_it.id}`);
@@ -419,6 +876,49 @@ class TaskManager {
         return task_it;
     }
 
+    /**
+     * Submit an async task and wait for its result, like a remote procedure call over the queue
+     * @param {string} taskName - Name of the task type to execute
+     * @param {Object} payload - Task data/parameters
+     * @param {Object} options - Call options; other options are passed to async()
+     * @param {number} options.timeout - Seconds to wait for the result (default: no limit)
+     * @param {string} options.on_timeout - 'continue' (default) leaves the task running when the
+     *                                      timeout passes, 'cancel' cancels it
+     * @param {number} options.task_timeout - Execution timeout of the task in seconds (async()'s timeout option)
+     * @returns {*} Parsed result of the completed task
+     * @throws {Error} The stored error when the task failed or was cancelled, or an error when the timeout passes
+     * @example
+     * const thumbnail = taskManager.call('resize', { url, width: 200 }, { timeout: 10, on_timeout: 'cancel' });
+     */
+    call(taskName, payload = {}, options = {}) {
+        const { timeout, on_timeout = 'continue', task_timeout, ...taskOptions } = options;
+        const waitTimeout = normalizeWaitTimeout(timeout);
+        if (!CALL_TIMEOUT_ACTIONS.includes(on_timeout)) {
+            throw new Error(`Invalid on_timeout action: ${on_timeout}`);
+        }
+
+        const taskId = this.async(taskName, payload, task_timeout === undefined
+            ? taskOptions
+            : { ...taskOptions, timeout: task_timeout });
+
+        const deadline = waitTimeout ? Date.now() + waitTimeout * 1000 : Infinity;
+        const task = this._waitForFinalTask(taskId, deadline);
+        if (task) {
+            return getFinalTaskResult(task);
+        }
+
+        if (on_timeout === 'cancel') {
+            logger.warning(`[TaskManager] Call to ${taskName} timed out, cancelling task ${taskId}`);
+            try {
+                this.cancelTask(taskId, { reason: 'Call timed out' });
+            } catch (cancelError) {
+                logger.warning(`[TaskManager] Failed to cancel task ${taskId} after call timeout: ${cancelError.message}`);
+            }
+        }
+
+        throw new Error(`Call to ${taskName} timed out after ${waitTimeout}s (task ${taskId})`);
+    }
+
     /**
      * Schedule a recurring task using cron expression
      * @param {string} taskName - Name of the task type to execute
@@ -428,9 +928,24 @@ class TaskManager {
      * @param {number} options.priority - Task priority level
      * @param {number} options.max_retries - Maximum total attempts for this task (including initial attempt)
      * @param {number} options.retry_interval - Interval between retries
+     * @param {Object} options.retry_policy - Retry backoff policy ({ strategy, base, factor, max_interval, jitter })
+     * @param {number} options.max_deferrals - Maximum task.retryAfter() deferrals before a deferral counts as a failure
      * @param {number} options.timeout - Task timeout in seconds
      * @param {string} options.tag - Task tag for categorization
-     * @throws {Error} If cron expression is invalid or TaskManager not running
+     * @param {string} options.schedule_id - Schedule name; an existing schedule with this ID is updated in place.
+     *                                       A paused schedule stays paused until resumeTask(); a completed one goes
+     *                                       back to pending when the new bounds allow another run, else this throws
+     * @param {string} options.timezone - IANA timezone the cron expression is evaluated in (default: host timezone)
+     * @param {string} options.misfire_policy - Handling of missed runs: 'fire_once' (default), 'skip' or 'catch_up'
+     * @param {number} options.misfire_limit - Maximum missed runs tracked, and run by 'catch_up', per misfire (default: 100)
+     * @param {boolean} options.run_history - Run each fire as a child async task of the schedule row (default: false)
+     * @param {string} options.overlap_policy - With run_history, what to do when the previous run is still active:
+     *                                          'skip' (default) or 'allow'
+     * @param {Date|number} options.start_at - No runs before this time (Date or Unix seconds)
+     * @param {Date|number} options.end_at - No runs after this time (Date or Unix seconds)
+     * @param {number} options.max_runs - Number of runs after which the schedule completes
+     * @param {string} options.calendar - Registered calendar; runs inside its blackouts are skipped
+     * @throws {Error} If cron expression is invalid, the bounds leave no run, or TaskManager not running
      * @returns {Promise} Task creation result
      */
     cron(taskName, cron_expr, payload = {}, options = {}) {
@@ -441,13 +956,52 @@ class TaskManager {
         }
 
         // Validate cron expression to prevent scheduling with invalid patterns
-        try {
-            parser.parseExpression(cron_expr);
-        } catch (e) {
-            logger.error(`[TaskManager] Invalid cron expression: ${cron_expr}, error: ${e.message}`);
-            throw new Error(`Invalid cron expression: ${cron_expr}`);
+        this._validateCronExpression(cron_expr, options.timezone);
+
+        return this._scheduleRecurringTask(taskName, {
+            cron_expr: cron_expr,
+            timezone: options.timezone ?? null,
+            interval_seconds: null,
+            interval_anchor: null
+        }, payload, options);
+    }
+
+    /**
+     * Schedule a recurring task that runs at a fixed interval
+     * @param {string} taskName - Name of the task type to execute
+     * @param {number} intervalSeconds - Interval between runs in seconds
+     * @param {Object} payload - Task data/parameters
+     * @param {Object} options - Same options as cron(), except timezone, plus:
+     * @param {string} options.anchor - 'fixed_rate' (default): runs follow the previous scheduled time;
+     *                                  'fixed_delay': runs follow the previous completion
+     * @throws {Error} If the interval is invalid, the bounds leave no run, or no handler is registered
+     * @returns {number} ID of the recurring task
+     */
+    every(taskName, intervalSeconds, payload = {}, options = {}) {
+        logger.info(`[TaskManager] Scheduling interval task: ${taskName}, interval: ${intervalSeconds}s`);
+        if (!this.handlers.has(taskName)) {
+            throw new Error(`No handler registered for task: ${taskName}`);
         }
 
+        return this._scheduleRecurringTask(taskName, {
+            cron_expr: null,
+            timezone: null,
+            interval_seconds: normalizeIntervalSeconds(intervalSeconds),
+            interval_anchor: normalizeIntervalAnchor(options.anchor)
+        }, payload, options);
+    }
+
+    /**
+     * Persist a recurring task. Cron and interval tasks share the cron task lifecycle
+     * and differ only in how their next run is computed.
+     * @private
+     * @param {string} taskName - Name of the task type to execute
+     * @param {Object} timing - cron_expr and timezone, or interval_seconds and interval_anchor
+     * @param {Object} payload - Task data/parameters
+     * @param {Object} options - Options given to cron() or every()
+     * @returns {number} ID of the recurring task
+     */
+    _scheduleRecurringTask(taskName, timing, payload, options) {
         // Get registered handler and its default options
         const registeredTask = this.handlers.get(taskName);
         const defaultOptions = {
@@ -455,23 +1009,55 @@ class TaskManager {
             ...options  // Task instance specific options
         };
 
-        // Calculate next execution time based on cron schedule
-        const nextRunTime = this._getNextRunTime(cron_expr);
+        const bounds = this._normalizeScheduleBounds(defaultOptions.start_at, defaultOptions.end_at, defaultOptions.calendar);
+
+        // Calculate next execution time based on the schedule
+        const nextRunTime = this._getNextScheduleTime(timing, undefined, bounds);
+        if (nextRunTime === null) {
+            throw new Error('Cron schedule has no runs between start_at and end_at');
+        }
         logger.info(`[TaskManager] Next run time calculated: ${nextRunTime}`);
 
         // Persist recurring task with comprehensive metadata
-        const task_it = this.db.insertTask({
+        const cronTask = {
             name: taskName,
             type: 'cron',
-            cron_expr: cron_expr,
+            ...timing,
             payload,
             priority: defaultOptions.priority,
             tag: defaultOptions.tag,
             max_retries: defaultOptions.max_retries,
             retry_interval: defaultOptions.retry_interval,
+            retry_policy: normalizeRetryPolicy(defaultOptions.retry_policy),
+            max_deferrals: normalizeMaxDeferrals(defaultOptions.max_deferrals),
             timeout: defaultOptions.timeout,
-            next_run_time: nextRunTime
-        });
+            misfire_policy: normalizeMisfirePolicy(defaultOptions.misfire_policy),
+            misfire_limit: normalizeMisfireLimit(defaultOptions.misfire_limit),
+            overlap_policy: normalizeOverlapPolicy(defaultOptions.run_history, defaultOptions.overlap_policy),
+            start_at: bounds.start_at,
+            end_at: bounds.end_at,
+            calendar: bounds.calendar,
+            max_runs: normalizeMaxRuns(defaultOptions.max_runs),
+            next_run_time: nextRunTime,
+            scheduled_time: nextRunTime
+        };
+
+        let task_it;
+        if (defaultOptions.schedule_id) {
+            // Named schedule: replace every field so an upsert matches a fresh cron() call
+            task_it = this.db.upsertSchedule({
+                ...cronTask,
+                priority: cronTask.priority ?? null,
+                tag: cronTask.tag ?? null,
+                max_deferrals: cronTask.max_deferrals ?? null,
+                misfire_policy: cronTask.misfire_policy ?? null,
+                misfire_limit: cronTask.misfire_limit ?? null,
+                calendar: cronTask.calendar ?? null,
+                schedule_id: defaultOptions.schedule_id
+            });
+        } else {
+            task_it = this.db.insertTask(cronTask);
+        }
 
         logger.info(`[TaskManager] Cron task created successfully: ${task_it.id}`);
 
@@ -480,13 +1066,210 @@ class TaskManager {
         return task_it;
     }
 
+    /**
+     * List cron schedules
+     * @param {Object} [filters] - Filter conditions
+     * @param {string} [filters.name] - Filter by task name
+     * @param {string} [filters.tag] - Filter by tag
+     * @param {string} [filters.status] - Filter by status
+     * @returns {Array<Object>} Cron tasks, including their schedule_id when they are named
+     */
+    listSchedules(filters = {}) {
+        logger.debug(`[TaskManager] Listing schedules with filters:`, filters);
+        return this.db.getTasks({
+            name: filters.name,
+            tag: filters.tag,
+            status: filters.status,
+            type: 'cron'
+        });
+    }
+
+    /**
+     * Update a named cron schedule in place
+     * @param {string} scheduleId - Schedule ID given to cron()
+     * @param {Object} changes - Fields to change: cron_expr, timezone, interval, anchor, payload, priority,
+     *                           tag, max_retries, retry_interval, retry_policy, max_deferrals, timeout,
+     *                           misfire_policy, misfire_limit, start_at, end_at, calendar, max_runs. Giving cron_expr
+     *                           to an interval schedule, or interval to a cron schedule, switches its kind.
+     * @throws {Error} If the schedule does not exist, the cron expression or interval is invalid, or the
+     *                 schedule has completed and the changes allow no further run
+     * @returns {number} ID of the cron task backing the schedule
+     */
+    updateSchedule(scheduleId, changes = {}) {
+        logger.info(`[TaskManager] Updating schedule: ${scheduleId}`);
+
+        if (!scheduleId) {
+            throw new Error('Schedule ID is required');
+        }
+
+        const fields = {};
+        for (const field of ['payload', 'priority', 'tag', 'max_retries', 'retry_interval', 'timeout']) {
+            if (changes[field] !== undefined) {
+                fields[field] = changes[field];
+            }
+        }
+        if (changes.retry_policy !== undefined) {
+            fields.retry_policy = normalizeRetryPolicy(changes.retry_policy);
+        }
+        if (changes.max_deferrals !== undefined) {
+            fields.max_deferrals = normalizeMaxDeferrals(changes.max_deferrals);
+        }
+        if (changes.misfire_policy !== undefined) {
+            fields.misfire_policy = normalizeMisfirePolicy(changes.misfire_policy);
+        }
+        if (changes.misfire_limit !== undefined) {
+            fields.misfire_limit = normalizeMisfireLimit(changes.misfire_limit);
+        }
+        if (changes.max_runs !== undefined) {
+            fields.max_runs = normalizeMaxRuns(changes.max_runs);
+        }
+
+        const schedule = this.db.getTasks({ schedule_id: scheduleId, type: 'cron' })[0];
+        if (!schedule) {
+            throw new Error(`Schedule not found: ${scheduleId}`);
+        }
+
+        // A completed schedule needs a fresh next run to be revived by the new bounds
+        if (schedule.status === 'completed'
+            || ['cron_expr', 'timezone', 'interval', 'anchor', 'start_at', 'end_at', 'calendar'].some(field => changes[field] !== undefined)) {
+            if (changes.cron_expr !== undefined && changes.interval !== undefined) {
+                throw new Error('A schedule takes either cron_expr or interval, not both');
+            }
+
+            // Recompute the next run from the new expression or interval, timezone, bounds and/or calendar
+            let timing;
+            if (changes.interval !== undefined || (changes.cron_expr === undefined && schedule.interval_seconds)) {
+                timing = {
+                    cron_expr: null,
+                    timezone: null,
+                    interval_seconds: normalizeIntervalSeconds(changes.interval !== undefined
+                        ? changes.interval : Number(schedule.interval_seconds)),
+                    interval_anchor: normalizeIntervalAnchor(changes.anchor !== undefined
+                        ? changes.anchor : schedule.interval_anchor)
+                };
+            } else {
+                const cronExpr = changes.cron_expr !== undefined ? changes.cron_expr : schedule.cron_expr;
+                const timezone = changes.timezone !== undefined ? changes.timezone : schedule.timezone;
+                this._validateCronExpression(cronExpr, timezone);
+                timing = {
+                    cron_expr: cronExpr,
+                    timezone: timezone || null,
+                    interval_seconds: null,
+                    interval_anchor: null
+                };
+            }
+            const bounds = this._normalizeScheduleBounds(
+                changes.start_at !== undefined ? changes.start_at : schedule.start_at,
+                changes.end_at !== undefined ? changes.end_at : schedule.end_at,
+                changes.calendar !== undefined ? changes.calendar : schedule.calendar
+            );
+            const nextRunTime = this._getNextScheduleTime(timing, undefined, bounds);
+            if (nextRunTime === null) {
+                throw new Error('Cron schedule has no runs between start_at and end_at');
+            }
+            Object.assign(fields, timing);
+            fields.start_at = bounds.start_at;
+            fields.end_at = bounds.end_at;
+            fields.calendar = bounds.calendar;
+            fields.next_run_time = nextRunTime;
+            fields.scheduled_time = nextRunTime;
+        }
+
+        const taskId = this.db.updateSchedule(scheduleId, fields);
+        if (taskId === null) {
+            throw new Error(`Schedule not found: ${scheduleId}`);
+        }
+
+        this.sleep.post();
+        return taskId;
+    }
+
+    /**
+     * Remove a named cron schedule, with its run instances and their audit data
+     * @param {string} scheduleId - Schedule ID given to cron()
+     * @returns {number} Number of schedules removed (0 or 1)
+     */
+    removeSchedule(scheduleId) {
+        logger.info(`[TaskManager] Removing schedule: ${scheduleId}`);
+
+        if (!scheduleId) {
+            throw new Error('Schedule ID is required');
+        }
+
+        return this.db.deleteTasks({ schedule_id: scheduleId });
+    }
+
+    /**
+     * Preview when a cron expression fires, e.g. before saving a schedule
+     * @param {string} cron_expr - Cron expression
+     * @param {Object} [options] - Preview options
+     * @param {number} [options.count=10] - Number of fire times returned (at most 1000)
+     * @param {Date|number} [options.from] - Fire times follow this time (Date or Unix seconds, default: now)
+     * @param {string} [options.timezone] - IANA timezone the expression is evaluated in
+     * @param {Date|number} [options.start_at] - Schedule start bound, as given to cron()
+     * @param {Date|number} [options.end_at] - Schedule end bound, as given to cron()
+     * @param {string} [options.calendar] - Name of a registered calendar whose blackouts are skipped
+     * @throws {Error} If the expression, timezone, count, bounds or calendar are invalid
+     * @returns {Array<number>} Next fire times in Unix seconds; fewer than count when end_at is reached
+     */
+    previewSchedule(cron_expr, options = {}) {
+        this._validateCronExpression(cron_expr, options.timezone);
+        const count = normalizePreviewCount(options.count);
+        const from = normalizeScheduleTime(options.from, 'from');
+        const bounds = this._normalizeScheduleBounds(options.start_at, options.end_at, options.calendar);
+
+        return this._previewScheduleTimes({
+            cron_expr,
+            timezone: options.timezone || null
+        }, from !== null ? from : undefined, count, bounds);
+    }
+
+    /**
+     * Preview when an existing cron or interval task fires next
+     * @param {number} taskId - ID of the cron task
+     * @param {Object} [options] - Preview options
+     * @param {number} [options.count=10] - Number of fire times returned (at most 1000)
+     * @throws {Error} If the task does not exist or is not a cron task
+     * @returns {Array<number>} Next fire times in Unix seconds, starting with the pending run; empty once
+     *                          the schedule has completed or was cancelled
+     */
+    getSchedulePreview(taskId, options = {}) {
+        const count = normalizePreviewCount(options.count);
+        const task = this.db.getTask(taskId);
+        if (!task) {
+            throw new Error(`Task ${taskId} not found`);
+        }
+        if (task.type !== 'cron') {
+            throw new Error(`Task ${taskId} is not a cron task`);
+        }
+        if (['completed', 'cancelled', 'permanently_failed'].includes(task.status)) {
+            return [];
+        }
+
+        const remainingRuns = task.max_runs ? Number(task.max_runs) - (task.run_count || 0) : count;
+        if (remainingRuns <= 0) {
+            return [];
+        }
+
+        const bounds = { start_at: task.start_at, end_at: task.end_at, calendar: task.calendar };
+        if (task.status !== 'pending') {
+            return this._previewScheduleTimes(task, undefined, Math.min(count, remainingRuns), bounds);
+        }
+
+        // The pending run fires at next_run_time, later runs follow the schedule
+        const first = Number(task.next_run_time);
+        return [first].concat(this._previewScheduleTimes(task, first, Math.min(count, remainingRuns) - 1, bounds));
+    }
+
     /**
      * Resume a suspended or paused task
      * @param {string} taskId - ID of the task to resume
      * @param {object} [options] - Resume options
      * @param {string} [options.resume_reason] - Optional reason recorded in the audit event
+     * @param {*} [options.data] - JSON data for a suspended task; the handler reads it as task.resume_data
+     *                             on the next stage and it is recorded in the task_resumed event
      * @throws {Error} If TaskManager is not running
-     * @returns {Promise} Task update result
+     * @returns {string} Status of the task before it was resumed
      */
     resumeTask(taskId, options = {}) {
         logger.info(`[TaskManager] Attempting to resume task: ${taskId}`);
@@ -500,101 +1283,644 @@ class TaskManager {
         if (options && typeof options === 'object' && options.resume_reason) {
             extra.resume_reason = options.resume_reason;
         }
+        if (options && typeof options === 'object' && options.data !== undefined) {
+            extra.resume_data = options.data;
+        }
 
         logger.info(`[TaskManager] Resuming task ${taskId} with next run time: ${now}`);
 
         // Wake the processing loop immediately so the resumed task is claimed without delay
         this.sleep.post();
 
-        return this.db.updateTaskStatus(taskId, 'pending', extra);
+        const fromStatus = this.db.updateTaskStatus(taskId, 'pending', extra);
+        this._emitTaskEvent(getLifecycleEvent(fromStatus, 'pending'), taskId);
+        return fromStatus;
+    }
+
+    /**
+     * Send a signal to a task. The signal is stored until the task reads it: a task suspended
+     * by task.waitForSignal(name) resumes with the data as task.resume_data, a running
+     * handler reads it with task.signals(name). Every signal is recorded as a
+     * task_signal_received audit event.
+     * @param {string|number} taskId - ID of the task
+     * @param {string} name - Signal name, e.g. 'payment_confirmed'
+     * @param {*} [data] - JSON data of the signal
+     * @returns {number} ID of the stored signal
+     * @throws {Error} If the name is empty, the task does not exist or it has already finished
+     */
+    signal(taskId, name, data) {
+        const signalName = normalizeTrimmedString(name, 'Signal name');
+        logger.info(`[TaskManager] Sending signal ${signalName} to task ${taskId}`);
+
+        const transitions = [];
+        const signalId = this.db.insertTaskSignal(taskId, signalName, data, transitions);
+        this._emitTransitionEvents(transitions);
+
+        // Wake the processing loop so a resumed task is claimed without delay
+        this.sleep.post();
+        return signalId;
     }
 
     /**
-     * Cancel a suspended task, permanently failing it (e.g. approval rejected)
-     * @param {string} taskId - ID of the suspended task to cancel
+     * Cancel a task.
+     * - Suspended tasks are permanently failed (e.g. approval rejected).
+     * - Running tasks are flagged for cooperative cancellation on whichever worker owns them;
+     *   the handler observes it through task.cancelled / task.checkCancelled() and the task
+     *   ends in 'cancelled' once the handler stops.
+     * - Pending, paused, failed and timed out tasks move to 'cancelled' immediately.
+     * @param {string} taskId - ID of the task to cancel
      * @param {object} [options] - Cancel options
      * @param {string} [options.reason] - Cancellation reason stored as the task error
-     * @throws {Error} If TaskManager is not running
-     * @returns {Promise} Task update result
+     * @throws {Error} If the task does not exist or is already in a terminal state
+     * @returns {string} 'permanently_failed' for a suspended task, 'cancel_requested' for a running
+     *                   task, and 'cancelled' for a task that was cancelled immediately
      */
     cancelTask(taskId, options = {}) {
         logger.info(`[TaskManager] Attempting to cancel task: ${taskId}`);
 
         const reason = options && options.reason ? options.reason : 'Task cancelled';
-        return this.db.updateTaskStatus(taskId, 'permanently_failed', {
+        const task = this.db.getTask(taskId);
+        if (!task) {
+            throw new Error(`Task ${taskId} not found`);
+        }
+
+        if (task.status === 'suspended') {
+            this.db.updateTaskStatus(taskId, 'permanently_failed', {
+                error: reason
+            });
+            this._notifyTaskWaiters(task.id);
+            this._emitTaskEvent('task:permanently_failed', task.id);
+            return 'permanently_failed';
+        }
+
+        if (task.status === 'running') {
+            logger.info(`[TaskManager] Requesting cooperative cancellation of running task ${taskId}`);
+            this.db.requestTaskCancellation(taskId, reason);
+
+            // Flag the task right away when it is executing on this worker
+            const executingTask = this.executingTasks.get(task.id);
+            if (executingTask) {
+                executingTask.cancelled = true;
+                executingTask.cancel_reason = reason;
+            }
+            return 'cancel_requested';
+        }
+
+        this.db.updateTaskStatus(taskId, 'cancelled', {
             error: reason
         });
+        this._notifyTaskWaiters(task.id);
+        this._emitTaskEvent('task:cancelled', task.id);
+        return 'cancelled';
+    }
+
+    /**
+     * Pause a running task
+     * @param {string} taskId - ID of the task to pause
+     * @throws {Error} If TaskManager is not running
+     * @returns {string} Status of the task before it was paused
+     */
+    pauseTask(taskId) {
+        logger.info(`[TaskManager] Attempting to pause task: ${taskId}`);
+
+        logger.info(`[TaskManager] Pausing task ${taskId}`);
+        const fromStatus = this.db.updateTaskStatus(taskId, 'paused');
+        this._emitTaskEvent('task:paused', taskId);
+        return fromStatus;
+    }
+
+    /**
+     * Run explicit retention cleanup for expired terminal tasks and their audit records.
+     * @param {Object} [policy] - Optional retention policy override
+     * @returns {{tasks_deleted:number, events_deleted:number, attempts_deleted:number}}
+     */
+    runRetention(policy = null) {
+        const effectivePolicy = policy && typeof policy === 'object'
+            ? { ...this.options.retention, ...policy }
+            : (policy || this.options.retention);
+        logger.info(`[TaskManager] Running retention cleanup with policy:`, effectivePolicy);
+        const cleanupResult = this.db.cleanupExpiredTasks(effectivePolicy);
+        this._scheduleNextAutoRetention(Date.now());
+        return cleanupResult;
+    }
+
+    _scheduleNextAutoRetention(nowMs = Date.now()) {
+        const retention = this.options.retention;
+        if (!retention || !retention.expire_time) {
+            this.nextRetentionSweepAt = null;
+            return;
+        }
+
+        this.nextRetentionSweepAt = nowMs + getAutoRetentionIntervalMs();
+    }
+
+    _consumeAutoRetentionPolicy(nowMs = Date.now()) {
+        const retention = this.options.retention;
+        if (!retention || !retention.expire_time) {
+            return null;
+        }
+
+        if (this.nextRetentionSweepAt === null) {
+            this.nextRetentionSweepAt = nowMs + getAutoRetentionIntervalMs();
+        }
+
+        if (nowMs < this.nextRetentionSweepAt) {
+            return null;
+        }
+
+        this._scheduleNextAutoRetention(nowMs);
+        return retention;
+    }
+
+    /**
+     * Validate a cron expression and its timezone
+     * @private
+     * @param {string} cron_expr - Cron expression
+     * @param {string} [timezone] - IANA timezone name
+     * @throws {Error} If the expression or the timezone is invalid
+     */
+    _validateCronExpression(cron_expr, timezone) {
+        try {
+            parser.parseExpression(cron_expr);
+        } catch (e) {
+            logger.error(`[TaskManager] Invalid cron expression: ${cron_expr}, error: ${e.message}`);
+            throw new Error(`Invalid cron expression: ${cron_expr}`);
+        }
+
+        if (timezone) {
+            try {
+                parser.parseExpression(cron_expr, { tz: timezone }).next();
+            } catch (e) {
+                logger.error(`[TaskManager] Invalid cron timezone: ${timezone}, error: ${e.message}`);
+                throw new Error(`Invalid cron timezone: ${timezone}`);
+            }
+        }
+    }
+
+    /**
+     * Calculate the next execution time for a cron task
+     * @private
+     * @param {string} cron_expr - Cron expression
+     * @param {string} [timezone] - IANA timezone the expression is evaluated in (default: host timezone)
+     * @param {number} [after] - Unix timestamp the next execution time follows (default: now)
+     * @param {Object} [bounds] - Schedule bounds
+     * @param {number} [bounds.start_at] - No execution before this Unix timestamp
+     * @param {number} [bounds.end_at] - No execution after this Unix timestamp
+     * @param {string} [bounds.calendar] - Name of a calendar; executions in its blackouts are skipped
+     * @returns {number|null} Unix timestamp of next execution time, or null when it would be after end_at
+     */
+    _getNextRunTime(cron_expr, timezone, after, bounds = {}) {
+        logger.debug(`[TaskManager] Calculating next run time for cron expression: ${cron_expr}, timezone: ${timezone || 'local'}`);
+        let currentTime = after !== undefined ? after : Math.floor(Date.now() / 1000);
+        if (bounds.start_at && currentTime < bounds.start_at) {
+            // The first execution may fall exactly on start_at
+            currentTime = bounds.start_at - 1;
+        }
+
+        // Parse cron expression and get next valid execution time
+        const getNextSlot = from => {
+            const interval = parser.parseExpression(cron_expr, {
+                ...(timezone ? { tz: timezone } : {}),
+                currentDate: new Date(from * 1000)
+            });
+            return Math.floor(interval.next().getTime() / 1000);
+        };
+        const nextTime = this._skipCalendarBlackouts(bounds.calendar, getNextSlot(currentTime), bounds.end_at,
+            blackoutEnd => getNextSlot(blackoutEnd - 1));
+        if (nextTime === null) {
+            return null;
+        }
+        if (bounds.end_at && nextTime > bounds.end_at) {
+            logger.debug(`[TaskManager] Next run time ${nextTime} is after end_at ${bounds.end_at}`);
+            return null;
+        }
+
+        logger.debug(`[TaskManager] Next run time calculated: ${nextTime}`);
+        return nextTime;
+    }
+
+    /**
+     * Calculate the next execution time of a recurring task, whether it runs on a cron
+     * expression or on an interval
+     * @private
+     * @param {Object} schedule - Task or timing fields: cron_expr and timezone, or interval_seconds,
+     *                            interval_anchor and the scheduled_time fixed rate runs are aligned to
+     * @param {number} [after] - Unix timestamp the next execution time follows (default: now)
+     * @param {Object} [bounds] - Schedule bounds, see _getNextRunTime
+     * @returns {number|null} Unix timestamp of next execution time, or null when it would be after end_at
+     */
+    _getNextScheduleTime(schedule, after, bounds = {}) {
+        if (!schedule.interval_seconds) {
+            return this._getNextRunTime(schedule.cron_expr, schedule.timezone, after, bounds);
+        }
+
+        const interval = Number(schedule.interval_seconds);
+        const currentTime = after !== undefined ? after : Math.floor(Date.now() / 1000);
+        let nextTime;
+        if (bounds.start_at && currentTime < bounds.start_at) {
+            // The first execution falls exactly on start_at
+            nextTime = Number(bounds.start_at);
+        } else if (schedule.interval_anchor === 'fixed_delay' || !schedule.scheduled_time) {
+            nextTime = currentTime + interval;
+        } else {
+            // Fixed rate runs stay aligned to the scheduled time of the previous run
+            const anchor = Number(schedule.scheduled_time);
+            const elapsed = Math.max(0, currentTime - anchor);
+            nextTime = anchor + (Math.floor(elapsed / interval) + 1) * interval;
+        }
+
+        // Fixed rate runs moved out of a blackout stay on their grid
+        const gridAnchor = schedule.interval_anchor !== 'fixed_delay' && schedule.scheduled_time
+            ? Number(schedule.scheduled_time)
+            : null;
+        nextTime = this._skipCalendarBlackouts(bounds.calendar, nextTime, bounds.end_at, blackoutEnd => gridAnchor === null
+            ? blackoutEnd
+            : gridAnchor + Math.ceil((blackoutEnd - gridAnchor) / interval) * interval);
+        if (nextTime === null) {
+            return null;
+        }
+
+        if (bounds.end_at && nextTime > bounds.end_at) {
+            logger.debug(`[TaskManager] Next run time ${nextTime} is after end_at ${bounds.end_at}`);
+            return null;
+        }
+
+        logger.debug(`[TaskManager] Next run time calculated: ${nextTime}`);
+        return nextTime;
+    }
+
+    /**
+     * Move a run time past the blackouts of a calendar
+     * @private
+     * @param {string|null} calendarName - Calendar of the schedule
+     * @param {number} time - Candidate run time (Unix seconds)
+     * @param {number|null} endAt - Schedule end bound; a candidate after it is returned as is
+     * @param {Function} advance - Returns the first candidate at or after the end of a blackout
+     * @returns {number|null} First candidate outside every blackout, or null when none was found
+     */
+    _skipCalendarBlackouts(calendarName, time, endAt, advance) {
+        for (let skipped = 0; calendarName && !(endAt && time > endAt); skipped++) {
+            const blackoutEnd = this._getBlackoutEnd(calendarName, time);
+            if (blackoutEnd === null) {
+                break;
+            }
+            if (skipped >= MAX_CALENDAR_SKIPS) {
+                logger.warning(`[TaskManager] No run outside calendar ${calendarName} within ${MAX_CALENDAR_SKIPS} blackouts`);
+                return null;
+            }
+            time = advance(blackoutEnd);
+        }
+
+        return time;
+    }
+
+    /**
+     * Find the end of the calendar blackout a time falls in
+     * @private
+     * @param {string|null} calendarName - Calendar name
+     * @param {number} time - Unix seconds
+     * @returns {number|null} End of the blackout, or null when the time is not blacked out.
+     *                        Calendars not registered on this worker black out nothing.
+     */
+    _getBlackoutEnd(calendarName, time) {
+        if (!calendarName) {
+            return null;
+        }
+
+        const calendar = this.calendars.get(calendarName);
+        if (!calendar) {
+            // Warn once per name: misfire handling looks the calendar up for every missed slot
+            if (!this.unknownCalendars.has(calendarName)) {
+                this.unknownCalendars.add(calendarName);
+                logger.warning(`[TaskManager] Calendar ${calendarName} is not registered on this worker, ignoring it`);
+            }
+            return null;
+        }
+
+        return getCalendarBlackoutEnd(calendar, time);
+    }
+
+    /**
+     * Check that a calendar referenced by a task is registered
+     * @private
+     * @param {string} [calendarName] - Calendar name
+     * @returns {string|null} Calendar name, or null when no calendar is given
+     * @throws {Error} If the calendar is not registered
+     */
+    _validateCalendar(calendarName) {
+        if (calendarName === undefined || calendarName === null) {
+            return null;
+        }
+
+        if (!this.calendars.has(calendarName)) {
+            throw new Error(`Calendar not registered: ${calendarName}`);
+        }
+
+        return calendarName;
+    }
+
+    /**
+     * Collect the fire times of a schedule with the same calculation the scheduler uses
+     * @private
+     * @param {Object} schedule - Timing fields, see _getNextScheduleTime
+     * @param {number} [after] - Unix timestamp the first fire time follows (default: now)
+     * @param {number} count - Maximum number of fire times
+     * @param {Object} bounds - Schedule bounds
+     * @returns {Array<number>} Fire times in Unix seconds
+     */
+    _previewScheduleTimes(schedule, after, count, bounds) {
+        const times = [];
+        while (times.length < count) {
+            const nextTime = this._getNextScheduleTime(schedule, after, bounds);
+            if (nextTime === null) {
+                break;
+            }
+            times.push(nextTime);
+            after = nextTime;
+        }
+
+        return times;
+    }
+
+    /**
+     * Validate the start and end bounds and the calendar of a cron schedule
+     * @private
+     * @param {Date|number} [startAt] - Start bound (Date or Unix seconds)
+     * @param {Date|number} [endAt] - End bound (Date or Unix seconds)
+     * @param {string} [calendar] - Name of a registered calendar
+     * @returns {{start_at: number|null, end_at: number|null, calendar: string|null}} Bounds in Unix seconds
+     * @throws {Error} If a bound is invalid, end_at is not after start_at or the calendar is not registered
+     */
+    _normalizeScheduleBounds(startAt, endAt, calendar) {
+        const bounds = {
+            start_at: normalizeScheduleTime(startAt, 'start_at'),
+            end_at: normalizeScheduleTime(endAt, 'end_at'),
+            calendar: this._validateCalendar(calendar)
+        };
+
+        if (bounds.start_at !== null && bounds.end_at !== null && bounds.end_at <= bounds.start_at) {
+            throw new Error('end_at must be after start_at');
+        }
+
+        return bounds;
+    }
+
+    /**
+     * Move a running cron task on to its next run, or complete it once one of its
+     * bounds (end_at, max_runs) is reached
+     * @private
+     * @param {Object} task - Running cron task
+     * @param {Object} extra - Additional fields passed to updateTaskStatus
+     * @param {boolean} counted - Whether this fire counts as a run towards max_runs
+     */
+    _rescheduleCronTask(task, extra, counted) {
+        // A named schedule may have been updated while it was running, so use its stored settings
+        const schedule = task.schedule_id ? (this.db.getTask(task.id) || task) : task;
+        const runCount = (task.run_count || 0) + (counted ? 1 : 0);
+
+        let nextRunTime = null;
+        if (!schedule.max_runs || runCount < schedule.max_runs) {
+            // catch_up continues with the slot after the one that ran, so runs missed
+            // while the handler was busy are not lost
+            const catchUp = schedule.misfire_policy === 'catch_up' && task.scheduled_time
+                && schedule.cron_expr === task.cron_expr && schedule.timezone === task.timezone
+                && schedule.interval_seconds === task.interval_seconds;
+            nextRunTime = this._getNextScheduleTime(
+                schedule,
+                catchUp ? Number(task.scheduled_time) : undefined,
+                { start_at: schedule.start_at, end_at: schedule.end_at, calendar: schedule.calendar }
+            );
+        }
+
+        if (nextRunTime === null) {
+            const scheduleEnd = schedule.max_runs && runCount >= schedule.max_runs ? 'max_runs' : 'end_at';
+            logger.info(`[TaskManager] Cron task ${task.id} reached its ${scheduleEnd} bound, completing it`);
+            this._updateTaskStatusIfOwned(task, 'completed', {
+                ...extra,
+                run_count: runCount,
+                schedule_end: scheduleEnd
+            });
+            return;
+        }
+
+        this._updateTaskStatusIfOwned(task, 'pending', {
+            ...extra,
+            run_count: runCount,
+            next_run_time: nextRunTime,
+            scheduled_time: nextRunTime
+        });
     }
 
     /**
-     * Pause a running task
-     * @param {string} taskId - ID of the task to pause
-     * @throws {Error} If TaskManager is not running
-     * @returns {Promise} Task update result
+     * Start the run instance of a due slot of a schedule with run history. The run is an
+     * async child task of the schedule row with its own status, result, attempts and
+     * retention; the schedule row goes straight back to pending for its next slot.
+     * Only started runs count towards max_runs.
+     * @private
+     * @param {Object} task - Claimed cron task with an overlap_policy
      */
-    pauseTask(taskId) {
-        logger.info(`[TaskManager] Attempting to pause task: ${taskId}`);
+    _startScheduleRun(task) {
+        const activeRuns = task.overlap_policy === 'skip'
+            ? this.db.queryTasks({ parent_id: task.id, statuses: ACTIVE_RUN_STATUSES, limit: 1 })
+            : null;
+
+        let runId = null;
+        if (activeRuns && activeRuns.total > 0) {
+            logger.info(`[TaskManager] Skipping run of schedule ${task.id}, run ${activeRuns.items[0].id} is still active`);
+            this.db.insertTaskEvent({
+                task_id: task.id,
+                root_id: task.root_id || task.id,
+                parent_id: task.parent_id || null,
+                event_type: 'task_run_skipped',
+                from_status: 'running',
+                to_status: 'running',
+                stage: task.stage,
+                worker_id: task.worker_id || null,
+                message: `Run of task ${task.name} at ${task.scheduled_time} skipped, previous run still active`,
+                metadata: {
+                    scheduled_time: Number(task.scheduled_time),
+                    active_run_id: activeRuns.items[0].id
+                }
+            });
+        } else {
+            runId = this.db.insertTask({
+                name: task.name,
+                type: 'async',
+                payload: task.payload,
+                priority: task.priority,
+                tag: task.tag,
+                max_retries: task.max_retries,
+                retry_interval: task.retry_interval,
+                retry_policy: task.retry_policy,
+                max_deferrals: task.max_deferrals,
+                timeout: task.timeout,
+                scheduled_time: Number(task.scheduled_time),
+                // One run per slot, even when the schedule row is recovered and claimed again
+                idempotency_key: `schedule:${task.id}:${task.scheduled_time}`
+            }, {
+                root_id: task.root_id || task.id,
+                parent_id: task.id
+            });
+            logger.info(`[TaskManager] Started run ${runId} of schedule ${task.id}`);
+        }
 
-        logger.info(`[TaskManager] Pausing task ${taskId}`);
-        return this.db.updateTaskStatus(taskId, 'paused');
+        this._rescheduleCronTask(task, runId ? { run_task_id: runId } : {}, runId !== null);
     }
 
     /**
-     * Run explicit retention cleanup for expired terminal tasks and their audit records.
-     * @param {Object} [policy] - Optional retention policy override
-     * @returns {{tasks_deleted:number, events_deleted:number, attempts_deleted:number}}
+     * Apply the misfire policy of a claimed cron task and hand schedules with run history
+     * to a run instance. A failure fails the claimed row, so the retry sweep picks the fire
+     * up again instead of leaving the row running until it times out.
+     * @private
+     * @param {Object} task - Claimed cron task
+     * @returns {boolean} True when the handler must run for this claim
      */
-    runRetention(policy = null) {
-        const effectivePolicy = policy && typeof policy === 'object'
-            ? { ...this.options.retention, ...policy }
-            : (policy || this.options.retention);
-        logger.info(`[TaskManager] Running retention cleanup with policy:`, effectivePolicy);
-        const cleanupResult = this.db.cleanupExpiredTasks(effectivePolicy);
-        this._scheduleNextAutoRetention(Date.now());
-        return cleanupResult;
-    }
-
-    _scheduleNextAutoRetention(nowMs = Date.now()) {
-        const retention = this.options.retention;
-        if (!retention || !retention.expire_time) {
-            this.nextRetentionSweepAt = null;
-            return;
+    _startCronFire(task) {
+        try {
+            if (!this._applyMisfirePolicy(task)) {
+                return false;
+            }
+            if (task.overlap_policy) {
+                // Schedules with run history hand the fire to a run instance
+                this._startScheduleRun(task);
+                return false;
+            }
+            return true;
+        } catch (error) {
+            logger.error(`[TaskManager] Failed to start cron task ${task.id}:`, error);
+            try {
+                this._updateTaskStatusIfOwned(task, 'failed', { error: error.stack || String(error) });
+            } catch (updateError) {
+                logger.warning(`[TaskManager] Failed to mark cron task ${task.id} as failed: ${updateError.message}`);
+            }
+            return false;
         }
-
-        this.nextRetentionSweepAt = nowMs + getAutoRetentionIntervalMs();
     }
 
-    _consumeAutoRetentionPolicy(nowMs = Date.now()) {
-        const retention = this.options.retention;
-        if (!retention || !retention.expire_time) {
-            return null;
+    /**
+     * Collect the cron slots of a task that are due, oldest first
+     * @private
+     * @param {Object} task - Cron task with scheduled_time and either cron_expr and timezone or interval_seconds
+     * @param {number} now - Current Unix timestamp
+     * @param {number} limit - Maximum number of slots returned; older slots are dropped
+     * @returns {{slots: Array<number>, dropped: boolean}} Due slots and whether older slots were dropped
+     */
+    _getDueCronSlots(task, now, limit) {
+        const scheduledTime = Number(task.scheduled_time);
+        // Slots after end_at never run
+        const until = task.end_at ? Math.min(now, Number(task.end_at)) : now;
+
+        if (task.interval_seconds) {
+            // Interval slots are spaced evenly from the scheduled slot
+            const step = Number(task.interval_seconds);
+            const count = Math.floor((until - scheduledTime) / step) + 1;
+            const first = Math.max(0, count - limit);
+            const slots = [];
+            for (let i = first; i < count; i++) {
+                slots.push(scheduledTime + i * step);
+            }
+            return { slots, dropped: first > 0 };
         }
 
-        if (this.nextRetentionSweepAt === null) {
-            this.nextRetentionSweepAt = nowMs + getAutoRetentionIntervalMs();
+        const interval = parser.parseExpression(task.cron_expr, {
+            ...(task.timezone ? { tz: task.timezone } : {}),
+            currentDate: new Date((until + 1) * 1000)
+        });
+
+        // Walk back from now; the scheduled slot itself is always due
+        const slots = [];
+        let slot = Math.floor(interval.prev().getTime() / 1000);
+        while (slot > scheduledTime && slots.length < limit) {
+            slots.unshift(slot);
+            slot = Math.floor(interval.prev().getTime() / 1000);
         }
 
-        if (nowMs < this.nextRetentionSweepAt) {
-            return null;
+        if (slots.length < limit) {
+            slots.unshift(scheduledTime);
+            return { slots, dropped: false };
         }
 
-        this._scheduleNextAutoRetention(nowMs);
-        return retention;
+        return { slots, dropped: true };
     }
 
     /**
-     * Calculate the next execution time for a cron task
+     * Apply the misfire policy of a claimed cron task that starts late. Only regular
+     * runs are checked: a retry, deferral or resume moved next_run_time away from the
+     * scheduled slot and runs as requested. Fixed delay interval tasks never misfire:
+     * their next run always follows the previous completion.
      * @private
-     * @param {string} cron_expr - Cron expression
-     * @returns {number} Unix timestamp of next execution time
+     * @param {Object} task - Claimed cron task; scheduled_time is set to the slot that runs
+     * @returns {boolean} False when the run was skipped and the handler must not be called
      */
-    _getNextRunTime(cron_expr) {
-        logger.debug(`[TaskManager] Calculating next run time for cron expression: ${cron_expr}`);
-        // Parse cron expression and get next valid execution time
-        const interval = parser.parseExpression(cron_expr);
-        const nextTime = Math.floor(interval.next().getTime() / 1000);
-        logger.debug(`[TaskManager] Next run time calculated: ${nextTime}`);
-        return nextTime;
+    _applyMisfirePolicy(task) {
+        const now = Math.floor(Date.now() / 1000);
+        if (!task.scheduled_time || task.interval_anchor === 'fixed_delay'
+            || Number(task.next_run_time) !== Number(task.scheduled_time)
+            || now - Number(task.scheduled_time) <= this.options.misfire_threshold) {
+            return true;
+        }
+
+        const policy = task.misfire_policy || 'fire_once';
+        const due = this._getDueCronSlots(task, now, task.misfire_limit || DEFAULT_MISFIRE_LIMIT);
+        const { dropped } = due;
+        // Slots inside a calendar blackout were never due
+        const openSlots = due.slots.filter(slot => slot === Number(task.scheduled_time)
+            || this._getBlackoutEnd(task.calendar, slot) === null);
+        const slots = openSlots.length > 0 ? openSlots : due.slots;
+        logger.warning(`[TaskManager] Cron task ${task.id} misfired, ${slots.length} due runs, policy: ${policy}`);
+
+        let runSlot = null;
+        let skippedSlots = slots;
+        if (policy === 'catch_up') {
+            runSlot = slots[0];
+            skippedSlots = [];
+        } else if (policy === 'fire_once') {
+            runSlot = slots[slots.length - 1];
+            skippedSlots = slots.slice(0, -1);
+        }
+
+        const createEvent = (eventType, message, metadata) => ({
+            task_id: task.id,
+            root_id: task.root_id || task.id,
+            parent_id: task.parent_id || null,
+            event_type: eventType,
+            from_status: 'running',
+            to_status: 'running',
+            stage: task.stage,
+            worker_id: task.worker_id || null,
+            event_time: now,
+            message,
+            metadata: { policy, ...metadata }
+        });
+
+        const events = [];
+        if (dropped) {
+            // Slots beyond misfire_limit are recorded as a single range
+            events.push(createEvent('task_misfire_skipped', `Missed runs of task ${task.name} before ${slots[0]} dropped`, {
+                scheduled_time: Number(task.scheduled_time),
+                dropped_until: slots[0]
+            }));
+        }
+        for (const slot of skippedSlots) {
+            events.push(createEvent('task_misfire_skipped', `Missed run of task ${task.name} at ${slot} skipped`, {
+                scheduled_time: slot
+            }));
+        }
+        if (policy === 'catch_up') {
+            events.push(createEvent('task_misfire_caught_up', `Missed run of task ${task.name} at ${runSlot} caught up`, {
+                scheduled_time: runSlot,
+                due_runs: slots.length
+            }));
+        }
+        this.db.insertTaskEvents(events);
+
+        if (runSlot === null) {
+            this._rescheduleCronTask(task, { misfire_skipped: true }, false);
+            return false;
+        }
+
+        task.scheduled_time = runSlot;
+        return true;
     }
 
     _normalizeTaskCheckpoint(checkpoint, details = {}) {
@@ -666,6 +1992,30 @@ class TaskManager {
         // to pause the workflow until resumeTask() is called externally.
         task.suspend = (options = {}) => new Suspension(options);
 
+        // Deferral marker: return task.retryAfter(seconds, reason) to run again later
+        // without consuming a retry attempt.
+        task.retryAfter = (seconds, reason) => new Deferral(seconds, reason);
+
+        // Durable timer markers: return task.sleep(seconds) or task.sleepUntil(time) to
+        // suspend without holding a slot; the task resumes at the next stage when due.
+        task.sleep = (seconds, context = null) => {
+            if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds < 0) {
+                throw new Error('sleep requires a non-negative number of seconds');
+            }
+            return new Timer(Math.floor(Date.now() / 1000) + Math.ceil(seconds), context);
+        };
+        // Signals: return task.waitForSignal(name) to suspend until signal() delivers one,
+        // or read the signals sent so far with task.signals(name)
+        task.waitForSignal = (name, options = {}) => new SignalWait(name, options);
+        task.signals = (name = null) => this.db.consumeTaskSignals(task.id, name);
+
+        task.sleepUntil = (time, context = null) => {
+            const resumeAt = normalizeScheduleTime(time, 'sleepUntil time');
+            if (resumeAt === null) {
+                throw new Error('sleepUntil time must be a Date or a Unix timestamp in seconds');
+            }
+            return new Timer(resumeAt, context);
+        };
 
         task.progress = (progress, details = {}) => {
             const normalizedProgress = this._normalizeTaskProgress(progress, details);
@@ -691,16 +2041,70 @@ class TaskManager {
         return task;
     }
 
+    /**
+     * Flag locally executing tasks whose cancellation was requested through the database
+     * @private
+     */
+    _pollCancellationRequests() {
+        if (this.executingTasks.size === 0) {
+            return;
+        }
+
+        const requests = this.db.getCancellationRequests(Array.from(this.executingTasks.keys()), this.options.worker_id);
+        for (const request of requests) {
+            const task = this.executingTasks.get(request.id);
+            if (task && !task.cancelled) {
+                logger.info(`[TaskManager] Cancellation requested for running task ${task.id}`);
+                task.cancelled = true;
+                task.cancel_reason = request.cancel_reason;
+            }
+        }
+    }
+
+    /**
+     * Decide whether a handler error must skip the remaining retry attempts
+     * @private
+     * @param {Object} task - Task that failed
+     * @param {Error} error - Error thrown by the handler
+     * @param {Object} options - Handler options with optional retry_on / abort_on predicates
+     * @returns {boolean} True if the error is not retryable
+     */
+    _isNonRetryableError(task, error, options) {
+        if (error instanceof NonRetryableError) {
+            return true;
+        }
+
+        try {
+            if (options.abort_on && options.abort_on(error, task)) {
+                return true;
+            }
+            if (options.retry_on && !options.retry_on(error, task)) {
+                return true;
+            }
+        } catch (predicateError) {
+            logger.warning(`[TaskManager] Retry predicate failed for task ${task.id}, treating error as retryable: ${predicateError.message}`);
+        }
+
+        return false;
+    }
+
     _updateTaskStatusIfOwned(task, status, extra = {}) {
         try {
             this.db.updateTaskStatus(task.id, status, {
                 ...extra,
                 worker_id: task.worker_id || null
             });
+            this._notifyTaskWaiters(task.id);
+            this._emitTaskEvent(extra.deferred ? 'task:deferred' : getLifecycleEvent('running', status), task.id);
             return true;
         } catch (error) {
             const currentTask = this.db.getTask(task.id);
-            if (currentTask && (currentTask.status !== 'running' || currentTask.worker_id !== task.worker_id)) {
+            if (!currentTask) {
+                // e.g. a schedule run deleted with its schedule while the handler was running
+                logger.warning(`[TaskManager] Skipping ${status} update for deleted task ${task.id}`);
+                return false;
+            }
+            if (currentTask.status !== 'running' || currentTask.worker_id !== task.worker_id) {
                 logger.warning(
                     `[TaskManager] Skipping stale ${status} update for task ${task.id}, current status: ${currentTask.status}, current worker: ${currentTask.worker_id}`
                 );
@@ -711,6 +2115,68 @@ class TaskManager {
         }
     }
 
+    /**
+     * Wake the fibers blocked in waitFor() on a task after a local status change
+     * @private
+     * @param {string|number} taskId - ID of the task
+     */
+    _notifyTaskWaiters(taskId) {
+        const waiters = this.taskWaiters.get(String(taskId));
+        if (waiters) {
+            for (const waiter of waiters) {
+                waiter.post();
+            }
+        }
+    }
+
+    /**
+     * Emit a lifecycle event with a fresh snapshot of the task, and the matching workflow
+     * event when the task is the root of a workflow. Listener errors are logged, not thrown.
+     * @private
+     * @param {string} eventName - Lifecycle event name
+     * @param {string|number} taskId - ID of the task
+     */
+    _emitTaskEvent(eventName, taskId) {
+        const workflowEvent = WORKFLOW_EVENTS[eventName];
+        if (this.listenerCount(eventName) === 0
+            && (!workflowEvent || this.listenerCount(workflowEvent) === 0)) {
+            return;
+        }
+
+        let snapshot;
+        try {
+            snapshot = this.db.getTask(taskId);
+        } catch (error) {
+            logger.warning(`[TaskManager] Failed to load task ${taskId} for ${eventName}: ${error.message}`);
+            return;
+        }
+        if (!snapshot) {
+            return;
+        }
+
+        const eventNames = workflowEvent && !snapshot.parent_id && snapshot.total_children > 0
+            ? [eventName, workflowEvent]
+            : [eventName];
+        for (const name of eventNames) {
+            try {
+                this.emit(name, snapshot);
+            } catch (error) {
+                logger.warning(`[TaskManager] Listener of ${name} failed for task ${taskId}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Emit the lifecycle events of status changes made by a timeout sweep or a delivered signal
+     * @private
+     * @param {Array<{task_id:number, from_status:string, to_status:string}>} transitions - Status transitions
+     */
+    _emitTransitionEvents(transitions) {
+        for (const transition of transitions || []) {
+            this._emitTaskEvent(getLifecycleEvent(transition.from_status, transition.to_status), transition.task_id);
+        }
+    }
+
     _registerWorkerLifecycle() {
         if (!this.options.pod_id) {
             return;
@@ -900,7 +2366,7 @@ class TaskManager {
     _executeTask(task) {
         logger.info(`[TaskManager] Starting execution of task: ${task.name}(${task.id})`);
         this._decorateExecutionTask(task);
-        const handlerRegistry = snapshotRegistry(this.handlers);
+        const handlerRegistry = snapshotRegistry(this.handlers, this.middleware);
         const executionEntry = handlerRegistry.get(task.name);
         if (!executionEntry) {
             throw new Error(`No handler registered for task: ${task.name}`);
@@ -908,6 +2374,7 @@ class TaskManager {
 
         // Track task in running set
         this.runningTasks.add(task.id);
+        this.executingTasks.set(task.id, task);
 
         // Update task type concurrency count if limit exists
         const liveTaskConfig = this.handlers.get(task.name);
@@ -919,6 +2386,99 @@ class TaskManager {
         const startTime = Date.now();
         logger.debug(`[TaskManager] Task execution started at: ${startTime}`);
         let hasTimedOut = false;
+        // Why the handler was abandoned; isolate mode throws it from task methods
+        let abandoned = null;
+        let released = false;
+        let hardTimer = null;
+        let windowTimer = null;
+
+        // Release the concurrency slot exactly once, either when the handler settles
+        // or when the hard timeout abandons it, whichever happens first
+        const releaseExecution = () => {
+            if (released) {
+                return;
+            }
+            released = true;
+
+            if (hardTimer) {
+                clearTimeout(hardTimer);
+                hardTimer = null;
+            }
+            if (windowTimer) {
+                clearTimeout(windowTimer);
+                windowTimer = null;
+            }
+
+            // Update task type concurrency count if limit exists
+            if (executionEntry.options.max_concurrent_tasks) {
+                runtime.running_count = Math.max(0, runtime.running_count - 1);
+            }
+            // Clean up resources
+            this.semaphore.release();
+            this.runningTasks.delete(task.id);
+            this.executingTasks.delete(task.id);
+        };
+
+        // Hard timeout: stop waiting on the handler fiber once the deadline passes
+        if (task.timeout > 0) {
+            hardTimer = setTimeout(() => {
+                hardTimer = null;
+                if (released) {
+                    return;
+                }
+
+                abandoned = 'Task execution timeout';
+                hasTimedOut = true;
+                task.abandoned = abandoned;
+                logger.warning(`[TaskManager] Task ${task.id} exceeded hard timeout of ${task.timeout}s, abandoning handler`);
+
+                try {
+                    if (this.db) {
+                        this._updateTaskStatusIfOwned(task, 'timeout', { error: 'Task execution timeout' });
+                    }
+                } catch (error) {
+                    logger.warning(`[TaskManager] Failed to mark abandoned task ${task.id} as timeout: ${error.message}`);
+                } finally {
+                    releaseExecution();
+                    this.sleep.post();
+                }
+            }, task.timeout * 1000);
+        }
+
+        // Window overrun: suspend the run when its allowed window closes and run
+        // the stage again once the next window opens. Like a hard timeout, this only
+        // abandons the handler fiber; it keeps running until it returns
+        const windowEnd = task.window_overrun === 'suspend' && task.allowed_windows
+            ? getAllowedWindowEnd(task.allowed_windows, Math.floor(startTime / 1000))
+            : null;
+        if (windowEnd !== null) {
+            windowTimer = setTimeout(() => {
+                windowTimer = null;
+                if (released) {
+                    return;
+                }
+
+                abandoned = 'Task suspended after its allowed window closed';
+                task.abandoned = abandoned;
+                const resumeAt = getNextWindowOpening(task.allowed_windows, windowEnd) ?? windowEnd;
+                logger.warning(`[TaskManager] Task ${task.id} outlasted its allowed window, suspending until ${resumeAt}`);
+
+                try {
+                    if (this.db) {
+                        this._updateTaskStatusIfOwned(task, 'suspended', {
+                            suspend_reason: 'outside_allowed_window',
+                            resume_at: resumeAt,
+                            resume_stage: task.stage
+                        });
+                    }
+                } catch (error) {
+                    logger.warning(`[TaskManager] Failed to suspend task ${task.id} outside its window: ${error.message}`);
+                } finally {
+                    releaseExecution();
+                    this.sleep.post();
+                }
+            }, Math.max(0, windowEnd * 1000 - startTime));
+        }
 
         // Add timeout check method to task
         task.checkTimeout = function () {
@@ -929,18 +2489,71 @@ class TaskManager {
             }
         };
 
+        // Cancellation flag is refreshed by the heartbeat in start()
+        task.cancelled = Boolean(task.cancel_reason);
+        task.checkCancelled = function () {
+            if (this.cancelled) {
+                logger.warning(`[TaskManager] Task ${task.id} observed cancellation request`);
+                throw new Error(`Task cancelled: ${this.cancel_reason}`);
+            }
+        };
+
+        let next = (tasks, context) => new SubTasks(tasks, context);
+
+        // Isolate mode: once abandoned, every task API call throws so the
+        // zombie handler cannot write audit rows or spawn work for a later attempt
+        if (executionEntry.options.isolate) {
+            const fence = (fn) => function (...args) {
+                if (abandoned) {
+                    throw new Error(abandoned);
+                }
+                return fn.apply(this, args);
+            };
+
+            for (const method of ['audit', 'progress', 'suspend', 'retryAfter', 'sleep', 'sleepUntil', 'waitForSignal', 'signals',
+                'checkTimeout', 'checkCancelled']) {
+                task[method] = fence(task[method]);
+            }
+            next = fence(next);
+        }
+
         // Execute task in new fiber for isolation
         coroutine.start(async () => {
             try {
                 // Execute registered handler for task type
                 logger.debug(`[TaskManager] Executing handler for task ${task.id}`);
-                const result = await executionEntry.handler(task, (tasks, context) => new SubTasks(tasks, context));
+                const result = await composeMiddleware(executionEntry.middleware, executionEntry.handler)(task, next);
+                if (abandoned) {
+                    logger.warning(`[TaskManager] Ignoring late result of abandoned task ${task.id}`);
+                    return;
+                }
+
                 if (this.state !== 'running') {
                     logger.warning(`[TaskManager] Task execution aborted - manager not running`);
                     return;
                 }
 
-                if (result instanceof Suspension) {
+                if (task.cancelled) {
+                    // Handler observed task.cancelled and returned: the run ends cancelled, whatever it returned
+                    logger.info(`[TaskManager] Task ${task.id} returned after a cancellation request, marking it cancelled`);
+                    this._updateTaskStatusIfOwned(task, 'cancelled', { error: task.cancel_reason });
+                    this.sleep.post();
+                    return;
+                }
+
+                if (result instanceof Deferral) {
+                    if (task.max_deferrals !== null && task.max_deferrals !== undefined
+                        && (task.defer_count || 0) >= task.max_deferrals) {
+                        throw new Error(`Task deferred more than ${task.max_deferrals} times`);
+                    }
+
+                    logger.info(`[TaskManager] Task ${task.id} deferred for ${result.seconds}s: ${result.reason}`);
+                    this._updateTaskStatusIfOwned(task, 'pending', {
+                        next_run_time: Math.floor(Date.now() / 1000) + result.seconds,
+                        deferred: true,
+                        defer_reason: result.reason
+                    });
+                } else if (result instanceof Suspension) {
                     if (result.tasks) {
                         // SubTasks: suspension awaiting child task completion
                         logger.info(`[TaskManager] Task ${task.id} created subtasks`);
@@ -960,8 +2573,10 @@ class TaskManager {
                             const registeredChildTask = this.handlers.get(childTask.name);
                         }
 
+                        const now = Math.floor(Date.now() / 1000);
                         const childTasks = result.tasks.map(childTask => {
                             const registeredChildTask = this.handlers.get(childTask.name);
+                            const allowedWindows = normalizeAllowedWindows(childTask.allowed_windows ?? registeredChildTask.options.allowed_windows);
 
                             return {
                                 ...childTask,
@@ -969,7 +2584,17 @@ class TaskManager {
                                 priority: childTask.priority ?? registeredChildTask.options.priority ?? task.priority,
                                 timeout: childTask.timeout ?? registeredChildTask.options.timeout ?? task.timeout,
                                 max_retries: childTask.max_retries ?? registeredChildTask.options.max_retries ?? task.max_retries,
-                                retry_interval: childTask.retry_interval ?? registeredChildTask.options.retry_interval ?? task.retry_interval
+                                retry_interval: childTask.retry_interval ?? registeredChildTask.options.retry_interval ?? task.retry_interval,
+                                retry_policy: normalizeRetryPolicy(childTask.retry_policy ?? registeredChildTask.options.retry_policy ?? task.retry_policy),
+                                max_deferrals: normalizeMaxDeferrals(childTask.max_deferrals ?? registeredChildTask.options.max_deferrals ?? task.max_deferrals),
+                                idempotency_ttl: childTask.idempotency_ttl ?? registeredChildTask.options.idempotency_ttl,
+                                calendar: this._validateCalendar(childTask.calendar ?? registeredChildTask.options.calendar),
+                                allowed_windows: allowedWindows,
+                                window_overrun: normalizeWindowOverrun(allowedWindows, childTask.window_overrun ?? registeredChildTask.options.window_overrun),
+                                // Outside its allowed windows the child waits for the next opening
+                                next_run_time: allowedWindows
+                                    ? (getNextWindowOpening(allowedWindows, now) ?? now)
+                                    : childTask.next_run_time
                             };
                         });
 
@@ -987,21 +2612,26 @@ class TaskManager {
                         this.db.insertTask(childTasks, options);
 
                         logger.info(`[TaskManager] Created ${childTasks.length} child tasks for task ${task.id}`);
+                        this._emitTaskEvent('task:suspended', task.id);
                     } else {
                         logger.info(`[TaskManager] Task ${task.id} explicitly suspended with reason: ${result.reason}`);
                         this._updateTaskStatusIfOwned(task, 'suspended', {
                             suspend_reason: result.reason,
                             ...(result.context ? { context: result.context } : {}),
+                            ...(result instanceof Timer ? { resume_at: result.resume_at } : {}),
+                            ...(result instanceof SignalWait ? { wait_signal: result.signal } : {}),
+                            ...(result.expires_in ? {
+                                suspend_expires_at: Math.floor(Date.now() / 1000) + result.expires_in,
+                                suspend_on_expire: result.on_expire
+                            } : {}),
                             worker_id: task.worker_id || null
                         });
                     }
                 } else if (task.type === 'cron') {
                     logger.debug(`[TaskManager] Updating cron task ${task.id} for next execution`);
-                    // For cron tasks, set to pending with next scheduled time
-                    this._updateTaskStatusIfOwned(task, 'pending', {
-                        result,
-                        next_run_time: this._getNextRunTime(task.cron_expr)
-                    });
+                    // For cron tasks, set to pending with next scheduled time, or complete them
+                    // once a schedule bound is reached
+                    this._rescheduleCronTask(task, { result }, true);
                 } else {
                     logger.info(`[TaskManager] Completing async task ${task.id}`);
                     // For async tasks, mark as completed
@@ -1013,20 +2643,43 @@ class TaskManager {
 
                 this.sleep.post();
             } catch (error) {
+                if (abandoned) {
+                    logger.warning(`[TaskManager] Ignoring late error of abandoned task ${task.id}: ${error.message}`);
+                    return;
+                }
+
                 logger.error(`[TaskManager] Error executing task ${task.id}:`, error);
+                if (task.cancelled) {
+                    // Handler stopped after a cancellation request: end in the terminal cancelled state
+                    this._updateTaskStatusIfOwned(task, 'cancelled', { error: task.cancel_reason });
+                    return;
+                }
+
+                if (!hasTimedOut && this._isNonRetryableError(task, error, executionEntry.options)) {
+                    // Skip remaining attempts: async tasks fail permanently, cron tasks are paused
+                    const status = task.type === 'cron' ? 'paused' : 'permanently_failed';
+                    logger.warning(`[TaskManager] Task ${task.id} failed with a non-retryable error, moving to ${status}`);
+                    this._updateTaskStatusIfOwned(task, status, {
+                        error: error.stack || String(error),
+                        non_retryable: true
+                    });
+                    return;
+                }
+
                 // Set appropriate failure status and store stack trace which includes error message
                 const status = hasTimedOut ? 'timeout' : 'failed';
-                this._updateTaskStatusIfOwned(task, status, { error: error.stack || String(error) });
-            } finally {
-                logger.debug(`[TaskManager] Task ${task.id} execution cleanup`);
+                const extra = { error: error.stack || String(error) };
 
-                // Update task type concurrency count if limit exists
-                if (executionEntry.options.max_concurrent_tasks) {
-                    runtime.running_count = Math.max(0, runtime.running_count - 1);
+                // Retry-After hint (e.g. from an HTTP 429/503 response) replaces the retry delay
+                const retryAfter = status === 'failed' && error ? Number(error.retry_after) : NaN;
+                if (Number.isFinite(retryAfter) && retryAfter >= 0) {
+                    extra.retry_at = Math.floor(Date.now() / 1000) + Math.ceil(retryAfter);
                 }
-                // Clean up resources
-                this.semaphore.release();
-                this.runningTasks.delete(task.id);
+
+                this._updateTaskStatusIfOwned(task, status, extra);
+            } finally {
+                logger.debug(`[TaskManager] Task ${task.id} execution cleanup`);
+                releaseExecution();
             }
         });
     }
@@ -1044,6 +2697,30 @@ class TaskManager {
         return tasks.filter(taskName => this._canTaskRun(taskName));
     }
 
+    _getGlobalConcurrencyLimits(taskNames) {
+        const limits = {};
+        for (const taskName of taskNames) {
+            const limit = this.handlers.get(taskName)?.options?.global_max_concurrent;
+            if (limit) {
+                limits[taskName] = limit;
+            }
+        }
+
+        return limits;
+    }
+
+    _getRateLimits(taskNames) {
+        const limits = {};
+        for (const taskName of taskNames) {
+            const rateLimit = this.handlers.get(taskName)?.options?.rate_limit;
+            if (rateLimit) {
+                limits[taskName] = rateLimit;
+            }
+        }
+
+        return limits;
+    }
+
     /**
      * Start the task processing loop
      * Initializes active time updates and begins task polling
@@ -1062,6 +2739,7 @@ class TaskManager {
 
         this.state = 'running';
         this.runningTasks = new Set();
+        this.executingTasks = new Map();
         logger.info(`[TaskManager] State changed to running`);
 
         this._registerWorkerLifecycle();
@@ -1073,12 +2751,14 @@ class TaskManager {
                 if (this.runningTasks.size > 0) {
                     logger.debug(`[TaskManager] Updating active time for ${this.runningTasks.size} tasks`);
                     this.db.updateTaskActiveTime(Array.from(this.runningTasks), this.options.worker_id);
+                    this._pollCancellationRequests();
                 }
                 const retentionPolicy = this._consumeAutoRetentionPolicy(Date.now());
-                this.db.handleTimeoutTasks({
+                const sweepResult = this.db.handleTimeoutTasks({
                     task_heartbeat_interval: this.options.task_heartbeat_interval,
                     task_heartbeat_timeout: this.options.task_heartbeat_timeout
                 }, retentionPolicy);
+                this._emitTransitionEvents(sweepResult.transitions);
             } catch (error) {
                 logger.warning(`[TaskManager] Active timer tick failed: ${error.message}`);
             }
@@ -1116,7 +2796,11 @@ class TaskManager {
                     const eligibleTaskTypes = this._filterEligibleTasks(Array.from(this.handlers.keys()));
 
                     // Try to claim an available task from eligible types
-                    const task = this.db.claimTask(eligibleTaskTypes, this.options.worker_id);
+                    const task = this.db.claimTask(eligibleTaskTypes, this.options.worker_id, {
+                        global_limits: this._getGlobalConcurrencyLimits(eligibleTaskTypes),
+                        rate_limits: this._getRateLimits(eligibleTaskTypes),
+                        calendars: Object.fromEntries(this.calendars)
+                    });
                     if (!task) {
                         logger.debug(`[TaskManager] No tasks available, waiting ${this.options.poll_interval}ms`);
                         // No tasks available, wait before trying again
@@ -1126,6 +2810,12 @@ class TaskManager {
                     }
 
                     logger.info(`[TaskManager] Claimed task ${task.id} for execution`);
+                    this._emitTaskEvent('task:claimed', task.id);
+                    if (task.type === 'cron' && !this._startCronFire(task)) {
+                        this.semaphore.release();
+                        this.sleep.post();
+                        continue;
+                    }
                     this._executeTask(task);
                 } catch (error) {
                     logger.warning(`[TaskManager] Task processing loop iteration failed: ${error.message}`);
@@ -1218,6 +2908,87 @@ class TaskManager {
         return this.db.getTask(taskId);
     }
 
+    /**
+     * Block the calling fiber until a task reaches a final status (completed, permanently_failed
+     * or cancelled). A task inside a workflow is waited on through the workflow's root, which
+     * only completes after its children, so the wait covers the whole workflow. Children of cron
+     * tasks are waited on directly, since a cron root never finishes. Status changes made by
+     * this worker wake the fiber right away; changes made by other workers are picked up by
+     * polling every poll_interval.
+     * @param {string|number} taskId - ID of the task or of any task in the workflow
+     * @param {Object} [options] - Wait options
+     * @param {number} [options.timeout] - Seconds to wait at most (default: no limit)
+     * @returns {*} Parsed result of the completed task, the root task for a workflow
+     * @throws {Error} The stored error when the task failed or was cancelled, or an error when
+     *                 the task does not exist or the timeout passes first
+     */
+    waitFor(taskId, options = {}) {
+        const timeout = normalizeWaitTimeout(options.timeout);
+        const deadline = timeout ? Date.now() + timeout * 1000 : Infinity;
+
+        const target = this.db.getTask(taskId);
+        if (!target) {
+            throw new Error(`Task ${taskId} not found`);
+        }
+
+        let waitId = target.id;
+        if (target.root_id && String(target.root_id) !== String(target.id)) {
+            const root = this.db.getTask(target.root_id);
+            if (root && root.type === 'async') {
+                waitId = root.id;
+            }
+        }
+
+        const task = this._waitForFinalTask(waitId, deadline);
+        if (!task) {
+            throw new Error(`Timed out waiting for task ${taskId}`);
+        }
+
+        return getFinalTaskResult(task);
+    }
+
+    /**
+     * Wait until a task reaches a final status or the deadline passes
+     * @private
+     * @param {string|number} taskId - ID of the task
+     * @param {number} deadline - Deadline in milliseconds since the epoch, Infinity for no limit
+     * @returns {Object|null} The task in its final status, or null when the deadline passed first
+     * @throws {Error} If the task does not exist
+     */
+    _waitForFinalTask(taskId, deadline) {
+        const key = String(taskId);
+        const waiter = new coroutine.Semaphore(0);
+        if (!this.taskWaiters.has(key)) {
+            this.taskWaiters.set(key, new Set());
+        }
+        this.taskWaiters.get(key).add(waiter);
+
+        try {
+            while (true) {
+                const task = this.db.getTask(taskId);
+                if (!task) {
+                    throw new Error(`Task ${taskId} not found`);
+                }
+
+                if (FINAL_STATUSES.includes(task.status)) {
+                    return task;
+                }
+
+                const remaining = deadline - Date.now();
+                if (remaining <= 0) {
+                    return null;
+                }
+                waiter.wait(Math.min(remaining, this.options.poll_interval));
+            }
+        } finally {
+            const waiters = this.taskWaiters.get(key);
+            waiters.delete(waiter);
+            if (waiters.size === 0) {
+                this.taskWaiters.delete(key);
+            }
+        }
+    }
+
     /**
      * Retrieve all tasks with a specific name
      * @param {string} name - Task name to search for
@@ -1404,7 +3175,8 @@ class TaskManager {
     /**
      * Get task definition information
      * @param {string} taskName - Name of the task to get information for
-        * @returns {Object} Task definition including supported handler metadata
+        * @returns {Object} Task definition including supported handler metadata and,
+     *                   when the handler has a rate_limit, the current window usage
      * @throws {Error} If the task is not registered
      */
     getTaskInfo(taskName) {
@@ -1415,10 +3187,16 @@ class TaskManager {
         }
 
         const taskConfig = this.handlers.get(taskName);
-        return {
+        const info = {
             name: taskName,
             description: taskConfig.options.description || ''
         };
+
+        if (taskConfig.options.rate_limit) {
+            info.rate_limit = this.db.getRateLimitUsage(taskName, taskConfig.options.rate_limit);
+        }
+
+        return info;
     }
 
     /**
@@ -1439,3 +3217,4 @@ class TaskManager {
 
 module.exports = TaskManager;
 module.exports.Suspension = Suspension;
+module.exports.NonRetryableError = NonRetryableError;
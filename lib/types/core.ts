@@ -6,7 +6,8 @@ export type TaskStatus =
     | 'timeout'
     | 'permanently_failed'
     | 'paused'
-    | 'suspended';
+    | 'suspended'
+    | 'cancelled';
 
 export type TaskType = 'async' | 'cron';
 
@@ -21,6 +22,7 @@ export type TaskEventType =
     | 'task_subtasks_created'
     | 'task_retry_scheduled'
     | 'task_retry_started'
+    | 'task_deferred'
     | 'task_failed'
     | 'task_timed_out'
     | 'task_completed'
@@ -28,10 +30,90 @@ export type TaskEventType =
     | 'task_suspended'
     | 'task_resumed'
     | 'task_permanently_failed'
+    | 'task_cancel_requested'
+    | 'task_cancelled'
+    | 'task_schedule_updated'
+    | 'task_misfire_skipped'
+    | 'task_misfire_caught_up'
+    | 'task_run_skipped'
+    | 'task_blackout_deferred'
+    | 'task_window_deferred'
+    | 'task_suspension_expired'
+    | 'task_signal_received'
     | 'task_expired_deleted';
 
 export type TaskIdentifier = number | string;
 
+export type TaskLifecycleEvent =
+    | 'task:claimed'
+    | 'task:completed'
+    | 'task:failed'
+    | 'task:timeout'
+    | 'task:retry'
+    | 'task:deferred'
+    | 'task:rescheduled'
+    | 'task:suspended'
+    | 'task:resumed'
+    | 'task:cancelled'
+    | 'task:permanently_failed'
+    | 'task:paused'
+    | 'workflow:completed'
+    | 'workflow:failed'
+    | 'workflow:cancelled';
+
+export type CronMisfirePolicy = 'fire_once' | 'skip' | 'catch_up';
+
+export type CronOverlapPolicy = 'skip' | 'allow';
+
+export type IntervalAnchor = 'fixed_rate' | 'fixed_delay';
+
+/**
+ * Blackout period of a calendar: a YYYY-MM-DD day, a range from start (inclusive)
+ * to end (exclusive), or a window of duration seconds starting at every cron fire.
+ */
+export type CalendarEntry =
+    | string
+    | { start: Date | number | string; end: Date | number | string }
+    | { cron: string; duration: number };
+
+/**
+ * Time window an async task may start in. days is a list or range of weekdays such as
+ * 'mon-fri' or ['sat', 'sun'] (default: every day); a window whose to is not after its
+ * from ends on the next day.
+ */
+export interface AllowedWindow {
+    days?: string | string[];
+    from: string;
+    to: string;
+    timezone?: string;
+}
+
+export type WindowOverrunPolicy = 'finish' | 'suspend';
+
+export type SuspensionExpiryAction = 'cancel' | 'resume' | 'fail';
+
+export type TaskRetryStrategy = 'fixed' | 'linear' | 'exponential';
+
+export interface TaskRetryPolicy {
+    strategy?: TaskRetryStrategy;
+    base?: number;
+    factor?: number;
+    max_interval?: number;
+    jitter?: boolean | number;
+}
+
+export interface TaskRateLimit {
+    limit: number;
+    interval: number;
+}
+
+export interface TaskRateLimitUsage extends TaskRateLimit {
+    used: number;
+    remaining: number;
+    window_start: number;
+    reset_at: number;
+}
+
 export type TaskAuditCode = string;
 export type TaskStageName = string;
 
@@ -59,10 +141,39 @@ export interface TaskRecord {
     payload?: unknown;
     result?: unknown;
     error?: string | null;
+    cancel_reason?: string | null;
     cron_expr?: string | null;
+    schedule_id?: string | null;
+    timezone?: string | null;
+    scheduled_time?: number | null;
+    misfire_policy?: CronMisfirePolicy | null;
+    misfire_limit?: number | null;
+    overlap_policy?: CronOverlapPolicy | null;
+    start_at?: number | null;
+    end_at?: number | null;
+    max_runs?: number | null;
+    run_count?: number;
+    interval_seconds?: number | null;
+    interval_anchor?: IntervalAnchor | null;
+    calendar?: string | null;
+    allowed_windows?: AllowedWindow[] | null;
+    window_overrun?: WindowOverrunPolicy | null;
+    resume_at?: number | null;
+    resume_stage?: number | null;
+    suspend_expires_at?: number | null;
+    suspend_on_expire?: SuspensionExpiryAction | null;
+    resume_reason?: string | null;
+    resume_data?: unknown;
+    wait_signal?: string | null;
+    idempotency_key?: string | null;
+    idempotency_expires_at?: number | null;
     max_retries?: number;
     retry_count?: number;
     retry_interval?: number;
+    retry_policy?: TaskRetryPolicy | null;
+    retry_at?: number | null;
+    defer_count?: number;
+    max_deferrals?: number | null;
     timeout?: number;
     next_run_time?: number | null;
     created_at?: number;
@@ -98,6 +209,13 @@ export interface TaskEventRecord {
     metadata?: Record<string, unknown> | null;
 }
 
+export interface TaskSignalRecord {
+    id: TaskIdentifier;
+    name: string;
+    data: unknown;
+    created_at: number;
+}
+
 export interface TaskAttemptRecord {
     id?: TaskIdentifier;
     task_id: TaskIdentifier;
@@ -105,7 +223,7 @@ export interface TaskAttemptRecord {
     worker_id?: string | null;
     started_at: number;
     ended_at?: number | null;
-    outcome?: TaskStatus | null;
+    outcome?: TaskStatus | 'interrupted' | 'deferred' | 'skipped' | null;
     error?: string | null;
     timeout_flag?: boolean;
 }
@@ -134,7 +252,7 @@ export interface TaskProgressSnapshot {
 
 export interface TaskRetentionPolicy {
     expire_time?: number | null;
-    statuses?: Array<'completed' | 'permanently_failed' | 'paused'>;
+    statuses?: Array<'completed' | 'permanently_failed' | 'cancelled' | 'paused'>;
 }
 
 export interface TaskRetentionResult {
@@ -150,7 +268,14 @@ export interface SubTaskDefinition {
     tag?: string;
     max_retries?: number;
     retry_interval?: number;
+    retry_policy?: TaskRetryPolicy | null;
+    max_deferrals?: number | null;
     timeout?: number;
+    idempotency_key?: string;
+    idempotency_ttl?: number;
+    calendar?: string;
+    allowed_windows?: AllowedWindow[];
+    window_overrun?: WindowOverrunPolicy;
 }
 
 export interface TaskQueryFilters {
@@ -158,6 +283,7 @@ export interface TaskQueryFilters {
     status?: TaskStatus;
     name?: string;
     type?: TaskType;
+    schedule_id?: string;
     worker_id?: string;
     root_id?: TaskIdentifier;
     workflow_root_id?: TaskIdentifier;
@@ -189,7 +315,9 @@ export interface TaskAttemptQueryFilters extends PaginationQuery {
     open_only?: boolean;
 }
 
-export interface TaskListQueryFilters extends TaskQueryFilters, PaginationQuery {}
+export interface TaskListQueryFilters extends TaskQueryFilters, PaginationQuery {
+    statuses?: TaskStatus[];
+}
 
 export interface TaskAuditQueryOptions {
     events?: TaskEventQueryFilters;
@@ -2,7 +2,7 @@ const { describe, it, beforeEach, afterEach } = require('test');
 const assert = require('assert');
 
 const coroutine = require('coroutine');
-const { TaskManager } = require('..');
+const { TaskManager, NonRetryableError } = require('..');
 const config = require('./config.js');
 
 function waitFor(predicate, timeoutMs = 5000, intervalMs = 50) {
@@ -116,6 +116,150 @@ describe('Async Tasks', () => {
         assert.equal(attempts, 2);
     });
 
+    it('should not retry a task that throws NonRetryableError', () => {
+        let attempts = 0;
+        taskManager.use('invalid_payload_task', () => {
+            attempts++;
+            throw new NonRetryableError('payload.id is required');
+        });
+
+        taskManager.start();
+
+        const taskId = taskManager.async('invalid_payload_task', {}, { max_retries: 3 });
+        assert.ok(waitFor(() => taskManager.getTask(taskId).status === 'permanently_failed', 2000));
+        coroutine.sleep(1500);
+
+        const task = taskManager.getTask(taskId);
+        assert.equal(task.status, 'permanently_failed');
+        assert.equal(task.retry_count, 0);
+        assert.equal(task.error.split('\n')[0], 'NonRetryableError: payload.id is required');
+        assert.equal(attempts, 1);
+
+        const events = taskManager.getTaskEvents(taskId);
+        assert.ok(events.some(event =>
+            event.event_type === 'task_permanently_failed'
+            && event.from_status === 'running'
+            && event.metadata.non_retryable === true
+        ));
+    });
+
+    it('should classify errors with retry_on and abort_on predicates', () => {
+        const attempts = { retry_on: 0, abort_on: 0 };
+        taskManager.use('retry_on_task', {
+            handler: () => {
+                attempts.retry_on++;
+                throw new Error('validation failed');
+            },
+            max_retries: 3,
+            retry_on: (error) => error.message.startsWith('network')
+        });
+        taskManager.use('abort_on_task', {
+            handler: () => {
+                attempts.abort_on++;
+                const error = new Error('bad request');
+                error.status = 400;
+                throw error;
+            },
+            max_retries: 3,
+            abort_on: (error) => error.status === 400
+        });
+
+        assert.throws(() => taskManager.use('bad_predicate_task', { handler: () => { }, retry_on: true }));
+
+        taskManager.start();
+
+        const retryOnTaskId = taskManager.async('retry_on_task');
+        const abortOnTaskId = taskManager.async('abort_on_task');
+        assert.ok(waitFor(() => taskManager.getTask(retryOnTaskId).status === 'permanently_failed'
+            && taskManager.getTask(abortOnTaskId).status === 'permanently_failed', 2000));
+
+        assert.equal(attempts.retry_on, 1);
+        assert.equal(attempts.abort_on, 1);
+    });
+
+    it('should schedule the retry using a thrown retry_after hint', () => {
+        let attempts = 0;
+        taskManager.use('rate_limited_task', {
+            handler: () => {
+                attempts++;
+                const error = new Error('429 Too Many Requests');
+                error.retry_after = 30;
+                throw error;
+            },
+            max_retries: 3,
+            retry_interval: 0
+        });
+
+        taskManager.start();
+
+        const startedAt = Math.floor(Date.now() / 1000);
+        const taskId = taskManager.async('rate_limited_task');
+        assert.ok(waitFor(() => taskManager.getTask(taskId).retry_count === 1, 4000));
+
+        const task = taskManager.getTask(taskId);
+        assert.equal(task.status, 'pending');
+        assert.equal(attempts, 1);
+        assert.ok(task.next_run_time >= startedAt + 30);
+
+        const retryEvent = taskManager.getTaskEvents(taskId).find(event => event.event_type === 'task_retry_scheduled');
+        assert.equal(retryEvent.metadata.retry_strategy, 'retry_after');
+        assert.ok(retryEvent.metadata.retry_delay >= 28 && retryEvent.metadata.retry_delay <= 30);
+    });
+
+    it('should defer with task.retryAfter without consuming a retry', () => {
+        let attempts = 0;
+        taskManager.use('deferring_task', {
+            handler: (task) => {
+                attempts++;
+                if (attempts <= 2) {
+                    return task.retryAfter(0, 'downstream busy');
+                }
+                return { attempts, defer_count: task.defer_count };
+            },
+            max_retries: 1
+        });
+
+        taskManager.start();
+
+        const taskId = taskManager.async('deferring_task');
+        assert.ok(waitFor(() => taskManager.getTask(taskId).status === 'completed', 5000));
+
+        const task = taskManager.getTask(taskId);
+        assert.equal(task.retry_count, 0);
+        assert.equal(task.defer_count, 2);
+        assert.deepEqual(task.result, { attempts: 3, defer_count: 2 });
+
+        const deferredEvents = taskManager.getTaskEvents(taskId).filter(event => event.event_type === 'task_deferred');
+        assert.equal(deferredEvents.length, 2);
+        assert.equal(deferredEvents[0].metadata.defer_reason, 'downstream busy');
+        assert.equal(deferredEvents[1].metadata.defer_count, 2);
+
+        const attemptRows = taskManager.getTaskAttempts(taskId);
+        assert.deepEqual(attemptRows.map(attempt => attempt.outcome), ['deferred', 'deferred', 'completed']);
+    });
+
+    it('should fail the attempt once max_deferrals is reached', () => {
+        let attempts = 0;
+        taskManager.use('endless_deferral_task', {
+            handler: (task) => {
+                attempts++;
+                return task.retryAfter(0);
+            },
+            max_retries: 1,
+            max_deferrals: 2
+        });
+
+        taskManager.start();
+
+        const taskId = taskManager.async('endless_deferral_task');
+        assert.ok(waitFor(() => taskManager.getTask(taskId).status === 'permanently_failed', 5000));
+
+        const task = taskManager.getTask(taskId);
+        assert.equal(attempts, 3);
+        assert.equal(task.defer_count, 2);
+        assert.equal(task.error.split('\n')[0], 'Error: Task deferred more than 2 times');
+    });
+
     it('should handle task timeout through periodic check', () => {
         let taskStarted = false;
         taskManager.use('timeout_task', (task) => {
@@ -136,6 +280,56 @@ describe('Async Tasks', () => {
         assert.equal(task.status, 'permanently_failed');
     });
 
+    it('should release the slot of a handler that ignores its hard timeout', () => {
+        let handlerReturned = false;
+        taskManager.use('zombie_task', () => {
+            coroutine.sleep(3000);
+            handlerReturned = true;
+            return { late: true };
+        });
+
+        taskManager.start();
+
+        const taskId = taskManager.async('zombie_task', {}, { timeout: 1, max_retries: 0 });
+        assert.ok(waitFor(() => taskManager.getTask(taskId).status !== 'running' && taskManager.getTask(taskId).status !== 'pending', 2500));
+        assert.equal(handlerReturned, false);
+        assert.equal(taskManager.runningTasks.size, 0);
+
+        assert.ok(waitFor(() => handlerReturned, 3000));
+        coroutine.sleep(200);
+
+        const task = taskManager.getTask(taskId);
+        assert.notEqual(task.status, 'completed');
+        assert.equal(task.result, null);
+    });
+
+    it('should fence task methods of an abandoned handler in isolate mode', () => {
+        let auditError = null;
+        taskManager.use('isolated_task', {
+            handler: (task) => {
+                coroutine.sleep(2000);
+                try {
+                    task.audit('late_checkpoint');
+                } catch (error) {
+                    auditError = error;
+                }
+            },
+            timeout: 1,
+            max_retries: 0,
+            isolate: true
+        });
+
+        taskManager.start();
+
+        const taskId = taskManager.async('isolated_task');
+        assert.ok(waitFor(() => auditError !== null, 4000));
+        assert.equal(auditError.message, 'Task execution timeout');
+
+        const events = taskManager.getTaskEvents(taskId);
+        assert.ok(events.some(event => event.event_type === 'task_timed_out'));
+        assert.ok(!events.some(event => event.event_type === 'task_checkpoint'));
+    });
+
     it('should record handler checkpoints and expose paged task audit views', () => {
         let handlerStatus;
         let handlerWorkerId;
@@ -449,6 +643,85 @@ describe('Async Tasks', () => {
         assert.deepEqual(completedTask.result, { success: true });
     });
 
+    it('should cancel a running task cooperatively', () => {
+        let iterations = 0;
+        taskManager.use('cancellable_task', (task) => {
+            while (true) {
+                task.checkCancelled();
+                iterations++;
+                coroutine.sleep(50);
+            }
+        });
+
+        taskManager.start();
+
+        const taskId = taskManager.async('cancellable_task', {}, { max_retries: 3 });
+        assert.ok(waitFor(() => iterations > 0));
+
+        assert.equal(taskManager.cancelTask(taskId, { reason: 'no longer needed' }), 'cancel_requested');
+        assert.ok(waitFor(() => taskManager.getTask(taskId).status === 'cancelled'));
+
+        const task = taskManager.getTask(taskId);
+        assert.equal(task.error, 'no longer needed');
+        assert.equal(task.retry_count, 0);
+
+        const events = taskManager.getTaskEvents(taskId);
+        assert.ok(events.some(event => event.event_type === 'task_cancel_requested'));
+        assert.ok(events.some(event =>
+            event.event_type === 'task_cancelled'
+            && event.from_status === 'running'
+            && event.to_status === 'cancelled'
+        ));
+
+        const attempts = taskManager.getTaskAttempts(taskId);
+        assert.equal(attempts.length, 1);
+        assert.equal(attempts[0].outcome, 'cancelled');
+    });
+
+    it('should cancel a running task that returns after observing task.cancelled', () => {
+        let iterations = 0;
+        taskManager.use('polling_cancel_task', (task) => {
+            while (!task.cancelled) {
+                iterations++;
+                coroutine.sleep(50);
+            }
+            return { partial: iterations };
+        });
+
+        taskManager.start();
+
+        const taskId = taskManager.async('polling_cancel_task');
+        assert.ok(waitFor(() => iterations > 0));
+
+        taskManager.cancelTask(taskId, { reason: 'stop polling' });
+        assert.ok(waitFor(() => taskManager.getTask(taskId).status === 'cancelled'));
+
+        const task = taskManager.getTask(taskId);
+        assert.equal(task.error, 'stop polling');
+
+        const attempts = taskManager.getTaskAttempts(taskId);
+        assert.equal(attempts.length, 1);
+        assert.equal(attempts[0].outcome, 'cancelled');
+    });
+
+    it('should cancel a pending task without running it', () => {
+        let executed = false;
+        taskManager.use('pending_cancel_task', () => {
+            executed = true;
+        });
+
+        const taskId = taskManager.async('pending_cancel_task', {}, { delay: 1 });
+        assert.equal(taskManager.cancelTask(taskId), 'cancelled');
+        taskManager.start();
+        coroutine.sleep(2000);
+
+        const task = taskManager.getTask(taskId);
+        assert.equal(task.status, 'cancelled');
+        assert.equal(task.error, 'Task cancelled');
+        assert.equal(executed, false);
+        assert.throws(() => taskManager.cancelTask(taskId));
+    });
+
     it('should handle concurrent tasks', () => {
         const results = [];
         const maxTasks = 3;
@@ -511,6 +784,81 @@ describe('Async Tasks', () => {
         assert.equal(executionOrder[2], lowPriorityId);
     });
 
+    it('should defer tasks that come due inside a calendar blackout', () => {
+        const startedAt = {};
+        taskManager.use('blackout_task', (task) => {
+            startedAt[task.id] = Math.floor(Date.now() / 1000);
+        });
+
+        assert.throws(() => {
+            taskManager.async('blackout_task', {}, { calendar: 'maintenance' });
+        }, /Calendar not registered: maintenance/);
+
+        const now = Math.floor(Date.now() / 1000);
+        taskManager.registerCalendar('maintenance', [{ start: now - 60, end: now + 2 }]);
+        const deferredId = taskManager.async('blackout_task', {}, { calendar: 'maintenance' });
+        const freeId = taskManager.async('blackout_task');
+        taskManager.start();
+
+        assert.ok(waitFor(() => taskManager.getTask(freeId).status === 'completed', 2000));
+        assert.equal(taskManager.getTask(deferredId).status, 'pending');
+        assert.equal(taskManager.getTask(deferredId).next_run_time, now + 2);
+
+        assert.ok(waitFor(() => taskManager.getTask(deferredId).status === 'completed', 5000));
+        assert.ok(startedAt[deferredId] >= now + 2);
+
+        const deferred = taskManager.getTaskEvents(deferredId).filter(event => event.event_type === 'task_blackout_deferred');
+        assert.equal(deferred.length, 1);
+        assert.equal(deferred[0].metadata.calendar, 'maintenance');
+        assert.equal(deferred[0].metadata.next_run_time, now + 2);
+    });
+
+    it('should hold tasks created outside their allowed windows until the next opening', () => {
+        const executed = [];
+        taskManager.use('window_task', (task) => {
+            executed.push(task.id);
+        });
+
+        assert.throws(() => {
+            taskManager.async('window_task', {}, { allowed_windows: [] });
+        }, /allowed_windows must be a non-empty array/);
+        assert.throws(() => {
+            taskManager.async('window_task', {}, { allowed_windows: [{ from: '25:00', to: '06:00' }] });
+        }, /Allowed window from must be a time of day as HH:MM/);
+        assert.throws(() => {
+            taskManager.async('window_task', {}, { allowed_windows: [{ days: 'mon-xyz', from: '22:00', to: '06:00' }] });
+        }, /Invalid allowed window day/);
+        assert.throws(() => {
+            taskManager.async('window_task', {}, { window_overrun: 'suspend' });
+        }, /window_overrun requires allowed_windows/);
+        assert.throws(() => {
+            taskManager.async('window_task', {}, { allowed_windows: [{ from: '22:00', to: '06:00' }], window_overrun: 'abort' });
+        }, /Invalid window overrun policy: abort/);
+
+        const timeOfDay = (seconds) => new Date(seconds * 1000).toISOString().slice(11, 16);
+        const now = Math.floor(Date.now() / 1000);
+        // Opens two to three minutes from now and lasts one minute
+        const opening = (Math.floor(now / 60) + 3) * 60;
+        const closedId = taskManager.async('window_task', {}, {
+            allowed_windows: [{ from: timeOfDay(opening), to: timeOfDay(opening + 60), timezone: 'UTC' }],
+            window_overrun: 'suspend'
+        });
+        // Spans the whole day, so the task is inside its window right away
+        const openId = taskManager.async('window_task', {}, {
+            allowed_windows: [{ days: 'sun-sat', from: '00:00', to: '00:00', timezone: 'UTC' }]
+        });
+
+        const closedTask = taskManager.getTask(closedId);
+        assert.equal(closedTask.next_run_time, opening);
+        assert.equal(closedTask.window_overrun, 'suspend');
+        assert.deepEqual(closedTask.allowed_windows[0].days, [0, 1, 2, 3, 4, 5, 6]);
+
+        taskManager.start();
+        assert.ok(waitFor(() => taskManager.getTask(openId).status === 'completed', 2000));
+        assert.equal(taskManager.getTask(closedId).status, 'pending');
+        assert.deepEqual(executed, [openId]);
+    });
+
     it('should order tasks by delay and priority', () => {
         const executed = [];
         const now = Math.floor(Date.now() / 1000);
@@ -535,6 +883,93 @@ describe('Async Tasks', () => {
         assert.deepEqual(executed, [2, 3, 1]);
     });
 
+    it('should wait for task results with waitFor', () => {
+        taskManager.use('wait_task', (task) => {
+            coroutine.sleep(task.payload.delay || 0);
+            if (task.payload.fail) {
+                throw new NonRetryableError('bad input');
+            }
+            return { doubled: task.payload.value * 2 };
+        });
+        taskManager.start();
+
+        const okId = taskManager.async('wait_task', { value: 21, delay: 200 });
+        const startTime = Date.now();
+        assert.deepEqual(taskManager.waitFor(okId), { doubled: 42 });
+        assert.ok(Date.now() - startTime < 2000, 'local completion should wake the waiter promptly');
+
+        const failedId = taskManager.async('wait_task', { fail: true });
+        assert.throws(() => taskManager.waitFor(failedId, { timeout: 5 }), /bad input/);
+
+        const slowId = taskManager.async('wait_task', { value: 1, delay: 1500 });
+        assert.throws(() => taskManager.waitFor(slowId, { timeout: 0.3 }), /Timed out waiting for task/);
+        assert.deepEqual(taskManager.waitFor(slowId, { timeout: 5 }), { doubled: 2 });
+
+        const cancelledId = taskManager.async('wait_task', { value: 1 }, { delay: 60 });
+        coroutine.start(() => {
+            coroutine.sleep(100);
+            taskManager.cancelTask(cancelledId, { reason: 'no longer needed' });
+        });
+        assert.throws(() => taskManager.waitFor(cancelledId, { timeout: 5 }), /no longer needed/);
+
+        assert.throws(() => taskManager.waitFor(999999, { timeout: 1 }), /Task 999999 not found/);
+        assert.throws(() => taskManager.waitFor(okId, { timeout: -1 }), /timeout must be a positive number of seconds/);
+        assert.equal(taskManager.taskWaiters.size, 0);
+    });
+
+    it('should return task results from call', () => {
+        taskManager.use('call_task', (task) => {
+            if (task.payload.fail) {
+                throw new NonRetryableError('bad input');
+            }
+            return { doubled: task.payload.value * 2 };
+        });
+        taskManager.start();
+
+        assert.deepEqual(taskManager.call('call_task', { value: 4 }, { timeout: 5 }), { doubled: 8 });
+        assert.throws(() => taskManager.call('call_task', { fail: true }, { timeout: 5 }), /bad input/);
+
+        let timeoutMessage = null;
+        try {
+            taskManager.call('call_task', { value: 1 }, { delay: 60, timeout: 0.3 });
+        } catch (error) {
+            timeoutMessage = error.message;
+        }
+        const keptTasks = taskManager.getTasksByName('call_task').filter(task => task.status === 'pending');
+        assert.equal(keptTasks.length, 1);
+        assert.equal(timeoutMessage, `Call to call_task timed out after 0.3s (task ${keptTasks[0].id})`);
+
+        assert.throws(() => taskManager.call('call_task', { value: 2 }, {
+            delay: 60,
+            timeout: 0.3,
+            on_timeout: 'cancel'
+        }), /Call to call_task timed out/);
+        const cancelledTasks = taskManager.getTasksByName('call_task').filter(task => task.status === 'cancelled');
+        assert.equal(cancelledTasks.length, 1);
+        assert.equal(cancelledTasks[0].payload.value, 2);
+
+        // Errors other than the deadline passing are rethrown and leave the task alone
+        const getTask = taskManager.db.getTask;
+        taskManager.db.getTask = function () {
+            throw new Error('database unavailable');
+        };
+        try {
+            assert.throws(() => taskManager.call('call_task', { value: 3 }, {
+                delay: 60,
+                timeout: 5,
+                on_timeout: 'cancel'
+            }), /database unavailable/);
+        } finally {
+            taskManager.db.getTask = getTask;
+        }
+        const untouched = taskManager.getTasksByName('call_task').filter(task => task.payload.value === 3);
+        assert.equal(untouched.length, 1);
+        assert.equal(untouched[0].status, 'pending');
+
+        assert.throws(() => taskManager.call('call_task', {}, { on_timeout: 'ignore' }), /Invalid on_timeout action: ignore/);
+        assert.throws(() => taskManager.call('call_task', {}, { timeout: 0 }), /timeout must be a positive number of seconds/);
+    });
+
     it('should retrieve a task by ID', () => {
         const payload = { data: 'test_data' };
 
@@ -65,6 +65,30 @@ describe('Cron Tests', () => {
         assert.equal(task.next_run_time, Math.floor(nextMidnight.getTime() / 1000));
     });
 
+    it('should evaluate cron expressions in the task timezone', () => {
+        taskManager.use('test', () => { });
+
+        const now = Math.floor(Date.now() / 1000);
+        // 09:00 in Tokyo (UTC+9, no daylight saving) is 00:00 UTC
+        const taskId = taskManager.cron('test', '0 9 * * *', {}, { timezone: 'Asia/Tokyo' });
+        const task = taskManager.getTask(taskId);
+
+        assert.equal(task.timezone, 'Asia/Tokyo');
+        assert.equal(task.next_run_time % 86400, 0);
+        assert.ok(task.next_run_time > now && task.next_run_time <= now + 86400);
+
+        assert.throws(() => {
+            taskManager.cron('test', '0 9 * * *', {}, { timezone: 'Mars/Olympus_Mons' });
+        }, /Invalid cron timezone/);
+
+        // Changing the timezone of a named schedule recomputes its next run
+        const scheduleTaskId = taskManager.cron('test', '0 9 * * *', {}, { schedule_id: 'tz-schedule', timezone: 'Asia/Tokyo' });
+        taskManager.updateSchedule('tz-schedule', { timezone: 'UTC' });
+        const schedule = taskManager.getTask(scheduleTaskId);
+        assert.equal(schedule.timezone, 'UTC');
+        assert.equal(schedule.next_run_time % 86400, 9 * 3600);
+    });
+
     it('should handle cron task execution and rescheduling', () => {
         let executionCount = 0;
         taskManager.use('test', (task) => {
@@ -255,4 +279,416 @@ describe('Cron Tests', () => {
         assert.equal(task.status, 'pending');
         assert.equal(task.retry_count, 0);
     });
+
+    it('should upsert named schedules instead of inserting duplicates', () => {
+        taskManager.use('report', () => { });
+        taskManager.use('digest', () => { });
+
+        const taskId = taskManager.cron('report', '0 0 * * *', { format: 'pdf' }, { schedule_id: 'daily-report', priority: 5 });
+        // A second startup registers the same schedule with a new expression
+        const sameId = taskManager.cron('report', '0 6 * * *', { format: 'csv' }, { schedule_id: 'daily-report' });
+        assert.equal(sameId, taskId);
+
+        let task = taskManager.getTask(taskId);
+        assert.equal(task.schedule_id, 'daily-report');
+        assert.equal(task.cron_expr, '0 6 * * *');
+        assert.deepEqual(task.payload, { format: 'csv' });
+        assert.equal(task.priority, 0, 'Options not passed again are reset to their defaults');
+        const nextSix = new Date();
+        if (nextSix.getHours() >= 6) {
+            nextSix.setDate(nextSix.getDate() + 1);
+        }
+        nextSix.setHours(6, 0, 0, 0);
+        assert.equal(task.next_run_time, Math.floor(nextSix.getTime() / 1000));
+
+        taskManager.cron('digest', '*/5 * * * *', {}, { schedule_id: 'digest' });
+        taskManager.cron('digest', '*/10 * * * *');
+        assert.equal(taskManager.listSchedules().length, 3);
+        assert.deepEqual(taskManager.listSchedules({ name: 'report' }).map(schedule => schedule.schedule_id), ['daily-report']);
+
+        taskManager.updateSchedule('daily-report', { cron_expr: '0 0 * * *', payload: { format: 'html' }, priority: 3 });
+        task = taskManager.getTask(taskId);
+        assert.equal(task.cron_expr, '0 0 * * *');
+        assert.deepEqual(task.payload, { format: 'html' });
+        assert.equal(task.priority, 3);
+        const nextMidnight = new Date();
+        nextMidnight.setHours(24, 0, 0, 0);
+        assert.equal(task.next_run_time, Math.floor(nextMidnight.getTime() / 1000));
+
+        const updateEvents = taskManager.getTaskEvents(taskId).filter(event => event.event_type === 'task_schedule_updated');
+        assert.equal(updateEvents.length, 2);
+
+        assert.throws(() => taskManager.updateSchedule('missing', { payload: {} }), /Schedule not found/);
+        assert.throws(() => taskManager.updateSchedule('daily-report', { cron_expr: 'invalid' }), /Invalid cron expression/);
+
+        assert.equal(taskManager.removeSchedule('daily-report'), 1);
+        assert.equal(taskManager.removeSchedule('daily-report'), 0);
+        assert.equal(taskManager.getTask(taskId), null);
+        assert.equal(taskManager.listSchedules().length, 2);
+    });
+
+    it('should complete schedules at their max_runs and end_at bounds', () => {
+        const executions = { bounded: 0, ending: 0 };
+        taskManager.use('bounded', () => ++executions.bounded);
+        taskManager.use('ending', () => ++executions.ending);
+        taskManager.use('later', () => { });
+
+        const now = Math.floor(Date.now() / 1000);
+        assert.throws(() => {
+            taskManager.cron('later', '0 0 * * * *', {}, { start_at: now + 60, end_at: now });
+        }, /end_at must be after start_at/);
+        assert.throws(() => {
+            taskManager.cron('later', '0 0 * * * *', {}, { end_at: now - now % 3600 + 3599 });
+        }, /no runs between start_at and end_at/);
+        assert.throws(() => {
+            taskManager.cron('later', '0 0 * * * *', {}, { max_runs: 0 });
+        }, /max_runs must be a positive integer/);
+
+        // The first run is the first slot at or after start_at
+        const startAt = now - now % 3600 + 2 * 86400;
+        const laterId = taskManager.cron('later', '0 0 * * * *', {}, { start_at: new Date(startAt * 1000) });
+        assert.equal(taskManager.getTask(laterId).next_run_time, startAt);
+
+        const boundedId = taskManager.cron('bounded', '* * * * * *', {}, { max_runs: 2 });
+        const endingId = taskManager.cron('ending', '* * * * * *', {}, { end_at: now + 2 });
+        taskManager.start();
+
+        assert.ok(waitFor(() => taskManager.getTask(boundedId).status === 'completed'
+            && taskManager.getTask(endingId).status === 'completed', 6000));
+
+        const bounded = taskManager.getTask(boundedId);
+        assert.equal(executions.bounded, 2);
+        assert.equal(bounded.run_count, 2);
+        assert.equal(bounded.result, 2);
+        const boundedEnd = taskManager.getTaskEvents(boundedId).filter(event => event.event_type === 'task_completed');
+        assert.equal(boundedEnd.length, 1);
+        assert.equal(boundedEnd[0].metadata.schedule_end, 'max_runs');
+
+        const ending = taskManager.getTask(endingId);
+        assert.ok(executions.ending >= 1 && executions.ending <= 2);
+        assert.equal(ending.run_count, executions.ending);
+        const endingEnd = taskManager.getTaskEvents(endingId).filter(event => event.event_type === 'task_completed');
+        assert.equal(endingEnd[0].metadata.schedule_end, 'end_at');
+        assert.equal(taskManager.getTask(laterId).status, 'pending');
+    });
+
+    it('should revive completed schedules only when new bounds allow more runs', () => {
+        let executions = 0;
+        taskManager.use('revived', () => ++executions);
+        const scheduleId = taskManager.cron('revived', '* * * * * *', {}, { schedule_id: 'revived', max_runs: 1 });
+        taskManager.start();
+
+        assert.ok(waitFor(() => taskManager.getTask(scheduleId).status === 'completed', 4000));
+
+        // Same bounds: the schedule stays dead and the caller is told so
+        assert.throws(() => {
+            taskManager.cron('revived', '* * * * * *', {}, { schedule_id: 'revived', max_runs: 1 });
+        }, /has completed and its bounds allow no further runs/);
+        assert.throws(() => {
+            taskManager.updateSchedule('revived', { payload: { again: true } });
+        }, /has completed and its bounds allow no further runs/);
+        assert.equal(taskManager.getTask(scheduleId).status, 'completed');
+
+        // A higher max_runs brings it back to pending with a fresh next run
+        assert.equal(taskManager.cron('revived', '* * * * * *', {}, { schedule_id: 'revived', max_runs: 2 }), scheduleId);
+        assert.ok(waitFor(() => taskManager.getTask(scheduleId).run_count === 2
+            && taskManager.getTask(scheduleId).status === 'completed', 4000));
+        assert.equal(executions, 2);
+
+        const updates = taskManager.getTaskEvents(scheduleId).filter(event => event.event_type === 'task_schedule_updated');
+        assert.equal(updates.length, 1);
+        assert.equal(updates[0].from_status, 'completed');
+        assert.equal(updates[0].to_status, 'pending');
+    });
+
+    it('should run interval tasks at a fixed rate or with a fixed delay', () => {
+        const scheduledTimes = { rate: [], delay: [] };
+        taskManager.use('rate', (task) => { scheduledTimes.rate.push(task.scheduled_time); });
+        taskManager.use('delay', (task) => {
+            scheduledTimes.delay.push(task.scheduled_time);
+            coroutine.sleep(1500);
+        });
+        taskManager.use('poller', () => { });
+
+        assert.throws(() => {
+            taskManager.every('rate', 0);
+        }, /Interval must be a positive integer/);
+        assert.throws(() => {
+            taskManager.every('rate', 2, {}, { anchor: 'later' });
+        }, /Invalid interval anchor/);
+
+        const now = Math.floor(Date.now() / 1000);
+        const rateId = taskManager.every('rate', 2, {}, { max_runs: 2 });
+        const delayId = taskManager.every('delay', 1, {}, { anchor: 'fixed_delay', max_runs: 2 });
+
+        const rate = taskManager.getTask(rateId);
+        assert.equal(rate.type, 'cron');
+        assert.equal(rate.cron_expr, null);
+        assert.equal(rate.interval_seconds, 2);
+        assert.equal(rate.interval_anchor, 'fixed_rate');
+        assert.ok(rate.next_run_time >= now + 2 && rate.next_run_time <= now + 3);
+
+        taskManager.start();
+        assert.ok(waitFor(() => taskManager.getTask(rateId).status === 'completed'
+            && taskManager.getTask(delayId).status === 'completed', 8000));
+
+        // fixed_rate: runs stay on the grid of the first run
+        assert.deepEqual(scheduledTimes.rate, [rate.next_run_time, rate.next_run_time + 2]);
+
+        // fixed_delay: the next run waits for the previous one to complete
+        assert.equal(scheduledTimes.delay.length, 2);
+        assert.ok(scheduledTimes.delay[1] - scheduledTimes.delay[0] >= 2);
+
+        // A named schedule switches between interval and cron expression
+        taskManager.every('poller', 45, {}, { schedule_id: 'poller' });
+        taskManager.updateSchedule('poller', { cron_expr: '0 0 * * * *' });
+        let poller = taskManager.listSchedules({ name: 'poller' })[0];
+        assert.equal(poller.cron_expr, '0 0 * * * *');
+        assert.equal(poller.interval_seconds, null);
+        assert.equal(poller.interval_anchor, null);
+
+        taskManager.updateSchedule('poller', { interval: 90 * 60, anchor: 'fixed_delay' });
+        poller = taskManager.listSchedules({ name: 'poller' })[0];
+        assert.equal(poller.cron_expr, null);
+        assert.equal(poller.interval_seconds, 5400);
+        assert.equal(poller.interval_anchor, 'fixed_delay');
+    });
+
+    it('should preview schedule fire times', () => {
+        taskManager.use('hourly', () => { });
+        taskManager.use('once', () => { });
+
+        const now = Math.floor(Date.now() / 1000);
+        const hour = now - now % 3600;
+        assert.deepEqual(taskManager.previewSchedule('0 0 * * * *', { count: 3, from: hour, timezone: 'UTC' }),
+            [hour + 3600, hour + 7200, hour + 10800]);
+        assert.deepEqual(taskManager.previewSchedule('0 0 * * * *', {
+            count: 5,
+            from: new Date(hour * 1000),
+            timezone: 'UTC',
+            end_at: hour + 7200
+        }), [hour + 3600, hour + 7200]);
+        assert.equal(taskManager.previewSchedule('*/5 * * * *').length, 10);
+        assert.throws(() => {
+            taskManager.previewSchedule('0 0 * * * *', { count: 0 });
+        }, /count must be an integer/);
+        assert.throws(() => {
+            taskManager.previewSchedule('invalid');
+        }, /Invalid cron expression/);
+
+        // Existing rows start with their pending run and stop at max_runs
+        const cronId = taskManager.cron('hourly', '0 0 * * * *', {}, { timezone: 'UTC', max_runs: 2 });
+        assert.deepEqual(taskManager.getSchedulePreview(cronId, { count: 5 }), [hour + 3600, hour + 7200]);
+
+        const intervalId = taskManager.every('hourly', 60);
+        const first = taskManager.getTask(intervalId).next_run_time;
+        assert.deepEqual(taskManager.getSchedulePreview(intervalId, { count: 3 }), [first, first + 60, first + 120]);
+
+        const asyncId = taskManager.async('once');
+        assert.throws(() => {
+            taskManager.getSchedulePreview(asyncId);
+        }, /is not a cron task/);
+    });
+
+    it('should skip cron slots inside calendar blackouts', () => {
+        taskManager.use('payments', () => { });
+
+        assert.throws(() => {
+            taskManager.registerCalendar('broken', ['2026-02-30']);
+        }, /Invalid calendar date/);
+        assert.throws(() => {
+            taskManager.registerCalendar('broken', [{ cron: '0 2 * * 0' }]);
+        }, /duration must be a positive integer/);
+        assert.throws(() => {
+            taskManager.cron('payments', '0 0 * * * *', {}, { calendar: 'missing' });
+        }, /Calendar not registered: missing/);
+
+        // Whole days in the calendar timezone
+        taskManager.registerCalendar('bank-holidays', ['2026-12-25', { start: '2026-12-31', end: '2027-01-01' }], {
+            timezone: 'UTC'
+        });
+        const dec24 = Date.UTC(2026, 11, 24) / 1000;
+        assert.deepEqual(taskManager.previewSchedule('0 0 12 * * *', {
+            count: 3,
+            from: dec24,
+            timezone: 'UTC',
+            calendar: 'bank-holidays'
+        }), [dec24 + 43200, dec24 + 2 * 86400 + 43200, dec24 + 3 * 86400 + 43200]);
+        assert.deepEqual(taskManager.previewSchedule('0 0 12 * * *', {
+            count: 2,
+            from: dec24 + 7 * 86400,
+            timezone: 'UTC',
+            calendar: 'bank-holidays'
+        }), [dec24 + 9 * 86400 + 43200, dec24 + 10 * 86400 + 43200]);
+
+        // A recurring window: every day 00:00-02:00
+        taskManager.registerCalendar('nightly', [{ cron: '0 0 0 * * *', duration: 7200 }], { timezone: 'UTC' });
+        const now = Math.floor(Date.now() / 1000);
+        const midnight = now - now % 86400 + 2 * 86400;
+        const taskId = taskManager.cron('payments', '0 0 * * * *', {}, {
+            timezone: 'UTC',
+            calendar: 'nightly',
+            start_at: midnight
+        });
+        assert.equal(taskManager.getTask(taskId).calendar, 'nightly');
+        assert.deepEqual(taskManager.getSchedulePreview(taskId, { count: 3 }),
+            [midnight + 7200, midnight + 10800, midnight + 14400]);
+
+        // Interval tasks on a fixed rate keep their grid after a blackout
+        const intervalId = taskManager.every('payments', 5400, {}, { calendar: 'nightly', start_at: midnight - 5400 });
+        assert.deepEqual(taskManager.getSchedulePreview(intervalId, { count: 3 }),
+            [midnight - 5400, midnight + 10800, midnight + 16200]);
+    });
+
+    it('should apply cron misfire policies to missed runs', () => {
+        taskManager = new TaskManager({
+            dbConnection: config.dbConnection,
+            poll_interval: 100,
+            misfire_threshold: 0
+        });
+
+        const scheduledTimes = { skipped: [], once: [], catchUp: [] };
+        taskManager.use('skipped', (task) => { scheduledTimes.skipped.push(task.scheduled_time); });
+        taskManager.use('once', (task) => { scheduledTimes.once.push(task.scheduled_time); });
+        taskManager.use('catchUp', (task) => { scheduledTimes.catchUp.push(task.scheduled_time); });
+
+        assert.throws(() => {
+            taskManager.cron('once', '0 0 * * * *', {}, { misfire_policy: 'later' });
+        }, /Invalid misfire policy/);
+
+        // Every schedule missed the last three hourly slots and the current one is due
+        const now = Math.floor(Date.now() / 1000);
+        const currentHour = now - now % 3600;
+        const missedFrom = currentHour - 3 * 3600;
+        const taskIds = {};
+        for (const [name, options] of Object.entries({
+            skipped: { misfire_policy: 'skip' },
+            once: { misfire_policy: 'fire_once' },
+            catchUp: { misfire_policy: 'catch_up', misfire_limit: 2 }
+        })) {
+            taskIds[name] = taskManager.cron(name, '0 0 * * * *', {}, { ...options, timezone: 'UTC', schedule_id: name });
+            taskManager.db.updateSchedule(name, { next_run_time: missedFrom, scheduled_time: missedFrom });
+        }
+
+        taskManager.start();
+        assert.ok(waitFor(() => Object.values(taskIds).every(id => {
+            const task = taskManager.getTask(id);
+            return task.status === 'pending' && task.next_run_time > now;
+        }) && scheduledTimes.catchUp.length === 2));
+
+        const eventsOf = (name, eventType) => taskManager.getTaskEvents(taskIds[name])
+            .filter(event => event.event_type === eventType);
+
+        // skip: no run, every due slot is recorded
+        assert.deepEqual(scheduledTimes.skipped, []);
+        assert.deepEqual(eventsOf('skipped', 'task_misfire_skipped').map(event => event.metadata.scheduled_time),
+            [missedFrom, missedFrom + 3600, missedFrom + 7200, currentHour]);
+        assert.equal(taskManager.getTaskAttempts(taskIds.skipped)[0].outcome, 'skipped');
+
+        // fire_once: one run for the latest slot
+        assert.deepEqual(scheduledTimes.once, [currentHour]);
+        assert.equal(eventsOf('once', 'task_misfire_skipped').length, 3);
+
+        // catch_up: the last misfire_limit slots run in order, older ones are dropped
+        assert.deepEqual(scheduledTimes.catchUp, [currentHour - 3600, currentHour]);
+        const dropped = eventsOf('catchUp', 'task_misfire_skipped');
+        assert.equal(dropped.length, 1);
+        assert.equal(dropped[0].metadata.dropped_until, currentHour - 3600);
+        assert.equal(eventsOf('catchUp', 'task_misfire_caught_up').length, 2);
+        assert.equal(taskManager.getTask(taskIds.catchUp).scheduled_time, currentHour + 3600);
+    });
+
+    it('should fail and retry a claimed cron fire whose misfire handling throws', () => {
+        let executions = 0;
+        taskManager.use('fragile_fire', () => ++executions);
+
+        let failures = 1;
+        const applyMisfirePolicy = taskManager._applyMisfirePolicy;
+        taskManager._applyMisfirePolicy = function (task) {
+            if (failures-- > 0) {
+                throw new Error('misfire bookkeeping failed');
+            }
+            return applyMisfirePolicy.call(this, task);
+        };
+
+        const taskId = taskManager.cron('fragile_fire', '* * * * * *', {}, { max_retries: 3 });
+        taskManager.start();
+
+        assert.ok(waitFor(() => executions > 0, 6000));
+        const failedEvents = taskManager.getTaskEvents(taskId).filter(event => event.event_type === 'task_failed');
+        assert.equal(failedEvents.length, 1);
+        assert.equal(failedEvents[0].from_status, 'running');
+        const attempts = taskManager.getTaskAttempts(taskId);
+        assert.equal(attempts[0].outcome, 'failed');
+        assert.ok(attempts[0].error.includes('misfire bookkeeping failed'));
+    });
+
+    it('should keep one run row per fire when run history is enabled', () => {
+        let runCount = 0;
+        taskManager.use('history', (task) => {
+            runCount++;
+            return { run: runCount, scheduled_time: task.scheduled_time };
+        });
+        taskManager.use('slowHistory', () => {
+            coroutine.sleep(2500);
+        });
+
+        assert.throws(() => {
+            taskManager.cron('history', '* * * * * *', {}, { overlap_policy: 'allow' });
+        }, /overlap_policy requires run_history/);
+
+        const scheduleId = taskManager.cron('history', '* * * * * *', { source: 'cron' }, { run_history: true });
+        const slowScheduleId = taskManager.cron('slowHistory', '* * * * * *', {}, { run_history: true });
+        taskManager.start();
+
+        assert.ok(waitFor(() => taskManager.getChildTasks(scheduleId)
+            .filter(run => run.status === 'completed').length >= 2, 5000));
+        assert.ok(waitFor(() => taskManager.getTaskEvents(slowScheduleId)
+            .some(event => event.event_type === 'task_run_skipped'), 5000));
+        taskManager.pause();
+
+        const runs = taskManager.getChildTasks(scheduleId).filter(run => run.status === 'completed');
+        for (const run of runs) {
+            assert.equal(run.type, 'async');
+            assert.equal(run.parent_id, scheduleId);
+            assert.deepEqual(run.payload, { source: 'cron' });
+            assert.equal(run.result.scheduled_time, run.scheduled_time);
+        }
+        assert.equal(new Set(runs.map(run => run.scheduled_time)).size, runs.length, 'Each run belongs to its own slot');
+        assert.notEqual(runs[0].result.run, runs[1].result.run);
+
+        // The schedule row only schedules: it keeps no result and waits for no child
+        const schedule = taskManager.getTask(scheduleId);
+        assert.equal(schedule.result, null);
+        assert.equal(schedule.completed_children, 0);
+        assert.ok(['pending', 'running'].includes(schedule.status));
+
+        // overlap_policy 'skip': the slow schedule never has two unfinished runs
+        const slowRuns = taskManager.getChildTasks(slowScheduleId);
+        assert.ok(slowRuns.filter(run => run.status !== 'completed').length <= 1);
+    });
+
+    it('should delete the runs of a removed schedule with their audit data', () => {
+        taskManager.use('deferredHistory', task => task.retryAfter(3600, 'not yet'));
+
+        const scheduleId = taskManager.cron('deferredHistory', '* * * * * *', {}, {
+            schedule_id: 'deferred-history',
+            run_history: true
+        });
+        taskManager.start();
+
+        assert.ok(waitFor(() => taskManager.getChildTasks(scheduleId)
+            .some(run => run.status === 'pending' && run.defer_count === 1), 5000));
+        const runId = taskManager.getChildTasks(scheduleId).find(run => run.defer_count === 1).id;
+        assert.ok(taskManager.getTaskAttempts(runId).length > 0);
+
+        assert.equal(taskManager.removeSchedule('deferred-history'), 1);
+        assert.equal(taskManager.getTask(scheduleId), null);
+        assert.equal(taskManager.getTask(runId), null);
+        assert.deepEqual(taskManager.getTaskEvents(runId), []);
+        assert.deepEqual(taskManager.getTaskAttempts(runId), []);
+
+        coroutine.sleep(1500);
+        assert.deepEqual(taskManager.getTasksByName('deferredHistory'), []);
+    });
 });
@@ -73,6 +73,66 @@ describe("TaskManager DB Connection", () => {
             taskManager.db.setup();
             taskManager.db.close();
         });
+
+        it("should upgrade a tasks table created by an older version", () => {
+            const legacyAdapter = createAdapter('sqlite::memory:');
+            legacyAdapter.pool(conn => {
+                conn.execute(`
+                    CREATE TABLE fib_flow_tasks (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        name TEXT NOT NULL,
+                        type TEXT CHECK(type IN ('async', 'cron')) NOT NULL,
+                        priority INTEGER DEFAULT 0,
+                        payload TEXT,
+                        created_at INTEGER,
+                        tag TEXT,
+                        status TEXT CHECK(status IN ('pending', 'running', 'completed', 'failed', 'timeout', 'permanently_failed', 'paused', 'suspended')) NOT NULL DEFAULT 'pending',
+                        next_run_time INTEGER NOT NULL,
+                        last_active_time INTEGER,
+                        last_event_time INTEGER,
+                        last_event_type TEXT,
+                        result TEXT,
+                        error TEXT,
+                        current_stage_name TEXT,
+                        progress_text TEXT,
+                        progress_percent REAL,
+                        stage INTEGER DEFAULT 0,
+                        timeout INTEGER DEFAULT 60,
+                        retry_count INTEGER DEFAULT 0,
+                        max_retries INTEGER DEFAULT 3,
+                        retry_interval INTEGER DEFAULT 0,
+                        cron_expr TEXT,
+                        root_id INTEGER,
+                        parent_id INTEGER,
+                        total_children INTEGER DEFAULT 0,
+                        completed_children INTEGER DEFAULT 0,
+                        worker_id TEXT,
+                        start_time INTEGER,
+                        context BLOB
+                    )
+                `);
+                conn.execute(`INSERT INTO fib_flow_tasks (name, type, status, next_run_time, created_at) VALUES ('legacy_task', 'async', 'pending', 0, 0)`);
+            });
+
+            try {
+                legacyAdapter.setup();
+                legacyAdapter.setup();
+
+                const [legacyTask] = legacyAdapter.getTasksByName('legacy_task');
+                assert.equal(legacyTask.status, 'pending');
+                assert.equal(legacyTask.cancel_reason, null);
+
+                legacyAdapter.updateTaskStatus(legacyTask.id, 'cancelled', { error: 'upgraded' });
+                assert.equal(legacyAdapter.getTask(legacyTask.id).status, 'cancelled');
+
+                const firstId = legacyAdapter.insertTask({ name: 'legacy_task', type: 'async', idempotency_key: 'once' });
+                const secondId = legacyAdapter.insertTask({ name: 'legacy_task', type: 'async', idempotency_key: 'once' });
+                assert.equal(secondId, firstId);
+                assert.ok(firstId > legacyTask.id);
+            } finally {
+                legacyAdapter.close();
+            }
+        });
     });
 
     describe("Task Management", () => {
@@ -119,6 +179,40 @@ describe("TaskManager DB Connection", () => {
                 }, /Task type must be either "async" or "cron"/);
             });
 
+            it("should deduplicate tasks by idempotency key", () => {
+                const taskId = adapter.insertTask({
+                    name: "idempotent_task",
+                    type: "async",
+                    idempotency_key: "order-1"
+                });
+
+                assert.equal(adapter.insertTask({ name: "idempotent_task", type: "async", idempotency_key: "order-1" }), taskId);
+                assert.notEqual(adapter.insertTask({ name: "idempotent_task", type: "async", idempotency_key: "order-2" }), taskId);
+                // Keys are scoped per task name
+                assert.notEqual(adapter.insertTask({ name: "other_idempotent_task", type: "async", idempotency_key: "order-1" }), taskId);
+                assert.equal(adapter.getTasksByName("idempotent_task").length, 2);
+                assert.equal(adapter.getTask(taskId).idempotency_key, "order-1");
+
+                // Once the dedupe window has passed, the key is released for a new task
+                const windowedId = adapter.insertTask({
+                    name: "idempotent_task",
+                    type: "async",
+                    idempotency_key: "order-3",
+                    idempotency_ttl: 60
+                });
+                assert.equal(adapter.insertTask({ name: "idempotent_task", type: "async", idempotency_key: "order-3" }), windowedId);
+
+                directUpdateTaskProperty(adapter, windowedId, "idempotency_expires_at", Math.floor(Date.now() / 1000) - 1);
+                const newId = adapter.insertTask({ name: "idempotent_task", type: "async", idempotency_key: "order-3" });
+                assert.notEqual(newId, windowedId);
+                assert.equal(adapter.getTask(windowedId).idempotency_key, null);
+                assert.equal(adapter.getTask(newId).idempotency_key, "order-3");
+
+                assert.throws(() => {
+                    adapter.insertTask({ name: "idempotent_task", type: "async", idempotency_key: "order-4", idempotency_ttl: -1 });
+                }, /Idempotency TTL/);
+            });
+
             it("should handle invalid parameters", () => {
                 assert.throws(() => {
                     adapter.insertTask({});
@@ -162,6 +256,81 @@ describe("TaskManager DB Connection", () => {
                 assert.deepEqual(claimed.payload, { data: "claim" });
             });
 
+            it("should drop a cancellation request once the run goes back to pending", () => {
+                const taskId = adapter.insertTask({
+                    name: "stale_cancel_test",
+                    type: "cron",
+                    cron_expr: "* * * * *",
+                    next_run_time: Math.floor(Date.now() / 1000) - 1
+                });
+
+                adapter.claimTask(["stale_cancel_test"], "test-worker");
+                adapter.requestTaskCancellation(taskId, "too late");
+                assert.equal(adapter.getCancellationRequests([taskId]).length, 1);
+
+                // The run finishes anyway and the schedule moves on to its next fire
+                adapter.updateTaskStatus(taskId, "pending", {
+                    next_run_time: Math.floor(Date.now() / 1000) - 1,
+                    worker_id: "test-worker"
+                });
+                assert.equal(adapter.getTask(taskId).cancel_reason, null);
+
+                const claimed = adapter.claimTask(["stale_cancel_test"], "test-worker");
+                assert.equal(claimed.id, taskId);
+                assert.equal(claimed.cancel_reason, null);
+                assert.equal(adapter.getCancellationRequests([taskId]).length, 0);
+            });
+
+            it("should enforce global concurrency limits across workers", () => {
+                const taskIds = [];
+                for (let i = 0; i < 3; i++) {
+                    taskIds.push(adapter.insertTask({ name: "global_limit_test", type: "async" }));
+                }
+                adapter.insertTask({ name: "unlimited_test", type: "async" });
+
+                const options = { global_limits: { global_limit_test: 2 } };
+                assert.ok(adapter.claimTask(["global_limit_test"], "worker-a", options));
+                assert.ok(adapter.claimTask(["global_limit_test"], "worker-b", options));
+
+                // Limit reached: the claim falls through to other eligible names
+                const other = adapter.claimTask(["global_limit_test", "unlimited_test"], "worker-c", options);
+                assert.equal(other.name, "unlimited_test");
+                assert.equal(adapter.claimTask(["global_limit_test"], "worker-c", options), null);
+
+                const running = adapter.getTasksByStatus("running").filter(task => task.name === "global_limit_test");
+                assert.equal(running.length, 2);
+
+                adapter.updateTaskStatus(running[0].id, "completed");
+                const claimed = adapter.claimTask(["global_limit_test"], "worker-c", options);
+                assert.ok(claimed);
+                assert.equal(claimed.worker_id, "worker-c");
+            });
+
+            it("should enforce rate limits across workers", () => {
+                for (let i = 0; i < 3; i++) {
+                    adapter.insertTask({ name: "rate_limit_test", type: "async" });
+                }
+
+                const rateLimit = { limit: 2, interval: 60 };
+                const options = { rate_limits: { rate_limit_test: rateLimit } };
+                const first = adapter.claimTask(["rate_limit_test"], "worker-a", options);
+                assert.ok(first);
+                assert.ok(adapter.claimTask(["rate_limit_test"], "worker-b", options));
+
+                // Finished tasks still count against the window
+                adapter.updateTaskStatus(first.id, "completed");
+                assert.equal(adapter.claimTask(["rate_limit_test"], "worker-c", options), null);
+
+                const usage = adapter.getRateLimitUsage("rate_limit_test", rateLimit);
+                assert.equal(usage.limit, 2);
+                assert.equal(usage.used, 2);
+                assert.equal(usage.remaining, 0);
+                assert.ok(usage.reset_at > usage.window_start);
+
+                // Another name is not affected by the window
+                assert.equal(adapter.getRateLimitUsage("other_task", rateLimit).used, 0);
+            });
+
             it("should handle invalid task names for claim", () => {
                 assert.throws(() => {
                     adapter.claimTask(["test"], "");
@@ -419,7 +588,8 @@ describe("TaskManager DB Connection", () => {
                 directUpdateTaskProperty(adapter, taskId, 'last_active_time', now - 300); // 5 minutes ago
 
                 // First call to handleTimeoutTasks - should mark task as timeout
-                adapter.handleTimeoutTasks(TEST_TIMEOUT_CONFIG);
+                let sweepResult = adapter.handleTimeoutTasks(TEST_TIMEOUT_CONFIG);
+                assert.deepEqual(sweepResult.transitions, [{ task_id: taskId, from_status: 'running', to_status: 'timeout' }]);
 
                 // Verify task is marked as timeout first
                 let updatedTask = adapter.getTask(taskId);
@@ -431,7 +601,8 @@ describe("TaskManager DB Connection", () => {
                 coroutine.sleep(1000); // Wait for a second
 
                 // Second call to handleTimeoutTasks - should trigger retry
-                adapter.handleTimeoutTasks(TEST_TIMEOUT_CONFIG);
+                sweepResult = adapter.handleTimeoutTasks(TEST_TIMEOUT_CONFIG);
+                assert.deepEqual(sweepResult.transitions, [{ task_id: taskId, from_status: 'timeout', to_status: 'pending' }]);
 
                 // Now verify task becomes pending with incremented retry count
                 updatedTask = adapter.getTask(taskId);
@@ -441,6 +612,66 @@ describe("TaskManager DB Connection", () => {
                 assert.ok(events.some(event => event.event_type === 'task_retry_scheduled' && event.to_status === 'pending'));
             });
 
+            it("should schedule retries using the exponential retry policy", () => {
+                const taskId = adapter.insertTask({
+                    name: "retry_policy_test",
+                    type: "async",
+                    max_retries: 5,
+                    retry_policy: { strategy: 'exponential', base: 10, factor: 3, max_interval: 60, jitter: 0 }
+                });
+
+                const expectedDelays = [10, 30, 60];
+                expectedDelays.forEach((expectedDelay, index) => {
+                    directUpdateTaskProperty(adapter, taskId, 'next_run_time', 0);
+                    adapter.claimTask(["retry_policy_test"], "test-worker");
+                    adapter.updateTaskStatus(taskId, 'failed', { error: 'flaky downstream' });
+
+                    const now = Math.floor(Date.now() / 1000);
+                    adapter.handleTimeoutTasks(TEST_TIMEOUT_CONFIG);
+
+                    const task = adapter.getTask(taskId);
+                    assert.equal(task.status, 'pending');
+                    assert.equal(task.retry_count, index + 1);
+                    assert.deepEqual(task.retry_policy, { strategy: 'exponential', base: 10, factor: 3, max_interval: 60, jitter: 0 });
+                    assert.ok(task.next_run_time >= now + expectedDelay);
+                    assert.ok(task.next_run_time <= now + expectedDelay + 1);
+
+                    const retryEvents = adapter.getTaskEvents(taskId, { event_type: 'task_retry_scheduled' });
+                    assert.equal(retryEvents.length, index + 1);
+                    assert.equal(retryEvents[index].metadata.retry_delay, expectedDelay);
+                    assert.equal(retryEvents[index].metadata.retry_strategy, 'exponential');
+                });
+            });
+
+            it("should cap retry delays of policies without max_interval", () => {
+                const { normalizeRetryPolicy, computeRetryDelay } = require('../lib/db/util.js');
+                const maxDelay = 30 * 24 * 3600;
+
+                assert.equal(computeRetryDelay(normalizeRetryPolicy({}), 2000), maxDelay);
+                assert.equal(computeRetryDelay(normalizeRetryPolicy({ strategy: 'linear', base: 3600 }), 1000), maxDelay);
+                assert.equal(computeRetryDelay(normalizeRetryPolicy({ max_interval: 10 * maxDelay }), 100), maxDelay);
+                assert.equal(computeRetryDelay(normalizeRetryPolicy({}), 3), 4);
+            });
+
+            it("should schedule retries using the fixed retry_interval without a policy", () => {
+                const taskId = adapter.insertTask({
+                    name: "retry_interval_test",
+                    type: "async",
+                    max_retries: 3,
+                    retry_interval: 0
+                });
+
+                adapter.claimTask(["retry_interval_test"], "test-worker");
+                adapter.updateTaskStatus(taskId, 'failed', { error: 'failed once' });
+                coroutine.sleep(1000);
+                adapter.handleTimeoutTasks(TEST_TIMEOUT_CONFIG);
+
+                const retryEvents = adapter.getTaskEvents(taskId, { event_type: 'task_retry_scheduled' });
+                assert.equal(retryEvents.length, 1);
+                assert.equal(retryEvents[0].metadata.retry_delay, 0);
+                assert.equal(retryEvents[0].metadata.retry_strategy, 'fixed');
+            });
+
             it("should handle task timeout scenarios", () => {
                 const now = Math.floor(Date.now() / 1000);
 
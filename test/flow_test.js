@@ -2,7 +2,7 @@ const { describe, it, beforeEach, afterEach } = require('test');
 const assert = require('assert');
 
 const coroutine = require('coroutine');
-const { TaskManager } = require('..');
+const { TaskManager, NonRetryableError } = require('..');
 const config = require('./config.js');
 
 describe("Workflow Tests", () => {
@@ -113,6 +113,136 @@ describe("Workflow Tests", () => {
         assert.equal(child1Attempts[0].attempt, 1);
         assert.equal(child1Attempts[0].outcome, 'completed');
 
+        const child2Attempts = taskManager.getTaskAttempts(children[1].id);
+        assert.equal(child2Attempts.length, 1);
+        assert.equal(child2Attempts[0].attempt, 1);
+        assert.equal(child2Attempts[0].outcome, 'completed');
+    });
+
+    it("should wait on the workflow root when waitFor is given a child task", () => {
+        let releaseParent = false;
+
+        taskManager.use('wait_parent', (task, next) => {
+            if (task.stage === 0) {
+                return next([{ name: 'wait_child', payload: { value: 1 } }]);
+            }
+
+            while (!releaseParent) {
+                coroutine.sleep(50);
+            }
+            return { result: 'workflow_done' };
+        });
+
+        taskManager.use('wait_child', task => ({ result: 'child_done' }));
+        taskManager.start();
+
+        const parentTaskId = taskManager.async('wait_parent', {});
+        while (taskManager.getChildTasks(parentTaskId).length === 0) {
+            coroutine.sleep(50);
+        }
+        const childTaskId = taskManager.getChildTasks(parentTaskId)[0].id;
+
+        coroutine.start(() => {
+            while (taskManager.getTask(childTaskId).status !== 'completed') {
+                coroutine.sleep(50);
+            }
+            coroutine.sleep(300);
+            releaseParent = true;
+        });
+
+        assert.deepEqual(taskManager.waitFor(childTaskId, { timeout: 10 }), { result: 'workflow_done' });
+        assert.equal(taskManager.getTask(parentTaskId).status, 'completed');
+    });
+
+    it("should emit lifecycle events with task snapshots", () => {
+        const events = [];
+        for (const eventName of ['task:claimed', 'task:suspended', 'task:completed', 'task:failed',
+            'task:permanently_failed', 'workflow:completed']) {
+            taskManager.on(eventName, task => events.push({ event: eventName, id: task.id, status: task.status }));
+        }
+        taskManager.on('task:completed', () => {
+            throw new Error('listener failure');
+        });
+
+        taskManager.use('events_parent', (task, next) => {
+            if (task.stage === 0) {
+                return next([{ name: 'events_child' }]);
+            }
+            return { done: true };
+        });
+        taskManager.use('events_child', () => ({ child: true }));
+        taskManager.use('events_broken', () => {
+            throw new NonRetryableError('broken');
+        });
+        taskManager.start();
+
+        const parentId = taskManager.async('events_parent');
+        const brokenId = taskManager.async('events_broken');
+        while (!events.some(event => event.event === 'workflow:completed')
+            || !events.some(event => event.event === 'task:permanently_failed')) {
+            coroutine.sleep(100);
+        }
+
+        const childId = taskManager.getChildTasks(parentId)[0].id;
+        const parentEvents = events.filter(event => event.id === parentId);
+        assert.deepEqual(parentEvents, [
+            { event: 'task:claimed', id: parentId, status: 'running' },
+            { event: 'task:suspended', id: parentId, status: 'suspended' },
+            { event: 'task:claimed', id: parentId, status: 'running' },
+            { event: 'task:completed', id: parentId, status: 'completed' },
+            { event: 'workflow:completed', id: parentId, status: 'completed' }
+        ]);
+        assert.deepEqual(events.filter(event => event.id === childId).map(event => event.event),
+            ['task:claimed', 'task:completed']);
+        assert.deepEqual(events.filter(event => event.id === brokenId).map(event => event.event),
+            ['task:claimed', 'task:permanently_failed']);
+    });
+
+    it("should emit lifecycle events for status changes made through the public API", () => {
+        const events = [];
+        for (const eventName of ['task:resumed', 'task:cancelled', 'task:permanently_failed', 'task:paused']) {
+            taskManager.on(eventName, task => events.push({ event: eventName, id: task.id }));
+        }
+
+        taskManager.use('api_approval', task => {
+            if (task.stage === 0) {
+                return task.suspend({ reason: 'awaiting_approval' });
+            }
+            return { approved: true };
+        });
+        taskManager.use('api_signal', task => {
+            if (task.stage === 0) {
+                return task.waitForSignal('go');
+            }
+            return { signalled: true };
+        });
+        taskManager.use('api_pending', () => ({}));
+        taskManager.use('api_cron', () => ({}));
+        taskManager.start();
+
+        const resumedId = taskManager.async('api_approval');
+        const rejectedId = taskManager.async('api_approval');
+        const signalledId = taskManager.async('api_signal');
+        const pendingId = taskManager.async('api_pending', {}, { delay: 3600 });
+        const cronId = taskManager.cron('api_cron', '0 0 0 1 1 *');
+        while ([resumedId, rejectedId, signalledId].some(id => taskManager.getTask(id).status !== 'suspended')) {
+            coroutine.sleep(100);
+        }
+
+        assert.equal(taskManager.resumeTask(resumedId, { data: { approved: true } }), 'suspended');
+        assert.equal(taskManager.cancelTask(rejectedId, { reason: 'rejected' }), 'permanently_failed');
+        taskManager.signal(signalledId, 'go');
+        assert.equal(taskManager.cancelTask(pendingId), 'cancelled');
+        assert.equal(taskManager.pauseTask(cronId), 'pending');
+
+        assert.deepEqual(events, [
+            { event: 'task:resumed', id: resumedId },
+            { event: 'task:permanently_failed', id: rejectedId },
+            { event: 'task:resumed', id: signalledId },
+            { event: 'task:cancelled', id: pendingId },
+            { event: 'task:paused', id: cronId }
+        ]);
+    });
 
     it("should use the latest child handler when a running parent creates subtasks", () => {
         let parentStarted = false;
@@ -164,11 +294,6 @@ describe("Workflow Tests", () => {
         assert.equal(childTasks[0].result.version, 'new');
         assert.equal(childTasks[0].timeout, 15);
     });
-        const child2Attempts = taskManager.getTaskAttempts(children[1].id);
-        assert.equal(child2Attempts.length, 1);
-        assert.equal(child2Attempts[0].attempt, 1);
-        assert.equal(child2Attempts[0].outcome, 'completed');
-    });
 
     it("should handle task failure", () => {
         let parentTaskId;
@@ -216,6 +341,41 @@ describe("Workflow Tests", () => {
         assert.equal(children[0].error.split('\n')[0], 'Error: Intentional failure');
     });
 
+    it("should propagate a non-retryable child failure to the parent immediately", () => {
+        let childAttempts = 0;
+        let parentResults = null;
+
+        taskManager.use('strict_parent_task', (task, next) => {
+            if (task.stage === 0) {
+                return next([{ name: 'strict_child_task', retry_interval: 60 }]);
+            }
+
+            parentResults = task.result;
+            return { result: 'parent_done' };
+        });
+
+        taskManager.use('strict_child_task', () => {
+            childAttempts++;
+            throw new NonRetryableError('Invalid child payload');
+        });
+
+        taskManager.start();
+
+        const parentTaskId = taskManager.async('strict_parent_task');
+        const deadline = Date.now() + 3000;
+        while (Date.now() < deadline && taskManager.getTask(parentTaskId).status !== 'completed') {
+            coroutine.sleep(50);
+        }
+
+        assert.equal(taskManager.getTask(parentTaskId).status, 'completed');
+        assert.equal(childAttempts, 1);
+        assert.equal(parentResults.length, 1);
+        assert.equal(parentResults[0].error.split('\n')[0], 'NonRetryableError: Invalid child payload');
+
+        const children = taskManager.getChildTasks(parentTaskId);
+        assert.equal(children[0].status, 'permanently_failed');
+    });
+
     it("should handle nested workflows", () => {
         let rootTaskId;
 
@@ -1208,6 +1368,56 @@ describe("Workflow Tests", () => {
         console.log('Result retry test completed successfully');
     });
 
+    it("should reuse idempotent child tasks when a parent stage re-runs after a retry", () => {
+        let parentExecutions = 0;
+        let childExecutions = 0;
+        let resumedResult;
+
+        taskManager.use('idempotent_parent', (task, next) => {
+            parentExecutions++;
+
+            if (task.stage === 0) {
+                return next([
+                    { name: 'idempotent_child', payload: { index: 1 }, idempotency_key: `${task.id}:child-1` },
+                    { name: 'idempotent_child', payload: { index: 2 }, idempotency_key: `${task.id}:child-2` }
+                ]);
+            }
+
+            if (parentExecutions === 2) {
+                // Fail after the children finished: the retry re-runs stage 0
+                throw new Error('Intentional failure after child completion');
+            }
+
+            resumedResult = task.result;
+            return { result: 'parent_done' };
+        });
+
+        taskManager.use('idempotent_child', task => {
+            childExecutions++;
+            return { index: task.payload.index };
+        });
+
+        taskManager.start();
+
+        const parentTaskId = taskManager.async('idempotent_parent');
+
+        const deadline = Date.now() + 10000;
+        while (taskManager.getTask(parentTaskId).status !== 'completed' && Date.now() < deadline) {
+            coroutine.sleep(100);
+        }
+
+        assert.equal(taskManager.getTask(parentTaskId).status, 'completed');
+        assert.equal(parentExecutions, 4, 'Parent runs stage 0, fails at stage 1, re-runs stage 0 and completes');
+        assert.equal(childExecutions, 2, 'Re-running stage 0 must not execute the children again');
+        assert.equal(taskManager.getChildTasks(parentTaskId).length, 2);
+        assert.deepEqual(resumedResult.map(entry => entry.result.index), [1, 2]);
+
+        const subtaskEvents = taskManager.getTaskEvents(parentTaskId)
+            .filter(event => event.event_type === 'task_subtasks_created');
+        assert.equal(subtaskEvents.length, 2);
+        assert.equal(subtaskEvents[1].metadata.reused_task_ids.length, 2);
+    });
+
     it("should handle timeout task with context reset on retry", () => {
         let taskId;
         let executionCount = 0;
@@ -1392,4 +1602,88 @@ describe("Workflow Tests", () => {
         
         console.log("Complete error stack passing test successful");
     });
+
+    it("should apply per-entry allowed windows to child tasks", () => {
+        const timeOfDay = (seconds) => new Date(seconds * 1000).toISOString().slice(11, 16);
+        const now = Math.floor(Date.now() / 1000);
+        // Opens two to three minutes from now and lasts one minute
+        const opening = (Math.floor(now / 60) + 3) * 60;
+
+        taskManager.use('window_parent', (task, next) => {
+            if (task.stage === 0) {
+                return next([
+                    { name: 'window_child', payload: { entry: 'registered' } },
+                    {
+                        name: 'window_child',
+                        payload: { entry: 'override' },
+                        allowed_windows: [{ days: 'sun-sat', from: '00:00', to: '00:00', timezone: 'UTC' }],
+                        window_overrun: 'finish'
+                    }
+                ]);
+            }
+            return { done: true };
+        });
+        taskManager.use('window_child', {
+            handler: task => ({ entry: task.payload.entry }),
+            allowed_windows: [{ from: timeOfDay(opening), to: timeOfDay(opening + 60), timezone: 'UTC' }],
+            window_overrun: 'suspend'
+        });
+        taskManager.start();
+
+        const parentId = taskManager.async('window_parent');
+        let children = [];
+        const deadline = Date.now() + 5000;
+        while (Date.now() < deadline) {
+            children = taskManager.getChildTasks(parentId);
+            if (children.length === 2 && children.some(child => child.status === 'completed')) {
+                break;
+            }
+            coroutine.sleep(100);
+        }
+
+        const registered = children.find(child => child.payload.entry === 'registered');
+        const override = children.find(child => child.payload.entry === 'override');
+        assert.equal(override.status, 'completed');
+        assert.equal(override.window_overrun, 'finish');
+        assert.deepEqual(override.allowed_windows[0].days, [0, 1, 2, 3, 4, 5, 6]);
+
+        // The registered windows are normalized and hold the child until the next opening
+        assert.equal(registered.status, 'pending');
+        assert.equal(registered.next_run_time, opening);
+        assert.equal(registered.window_overrun, 'suspend');
+        assert.equal(registered.allowed_windows[0].timezone, 'UTC');
+    });
+
+    it("should apply the registered calendar to child tasks", () => {
+        const now = Math.floor(Date.now() / 1000);
+        taskManager.registerCalendar('maintenance', [{ start: now - 60, end: now + 3600 }]);
+
+        taskManager.use('calendar_parent', (task, next) => {
+            if (task.stage === 0) {
+                return next([{ name: 'calendar_child' }]);
+            }
+            return { done: true };
+        });
+        taskManager.use('calendar_child', {
+            handler: () => ({ ran: true }),
+            calendar: 'maintenance'
+        });
+        taskManager.start();
+
+        const parentId = taskManager.async('calendar_parent');
+        let child;
+        const deadline = Date.now() + 5000;
+        while (Date.now() < deadline) {
+            child = taskManager.getChildTasks(parentId)[0];
+            if (child && taskManager.getTaskEvents(child.id).some(event => event.event_type === 'task_blackout_deferred')) {
+                break;
+            }
+            coroutine.sleep(100);
+        }
+
+        child = taskManager.getTask(child.id);
+        assert.equal(child.calendar, 'maintenance');
+        assert.equal(child.status, 'pending');
+        assert.equal(child.next_run_time, now + 3600);
+    });
 });
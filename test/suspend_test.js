@@ -110,6 +110,67 @@ describe('Explicit Suspension (human-in-the-loop)', () => {
         assert.equal(resumeEvent.metadata.resume_reason, 'approved_by_ops');
     });
 
+    it('should pass resume data to the next stage', () => {
+        let resumeData;
+
+        taskManager.use('approvalFlow', async (task) => {
+            if (task.stage === 0) {
+                return task.suspend({ reason: 'awaiting_approval' });
+            }
+            resumeData = task.resume_data;
+            return { approved: task.resume_data.approved };
+        });
+
+        const taskId = taskManager.async('approvalFlow', { amount: 100 });
+        waitForStatus(taskManager, taskId, 'suspended');
+
+        const decision = { approved: true, comment: 'looks good', amount: 90 };
+        taskManager.resumeTask(taskId, { resume_reason: 'approved_by_ops', data: decision });
+
+        const completed = waitForStatus(taskManager, taskId, 'completed');
+        assert.deepEqual(resumeData, decision);
+        assert.deepEqual(completed.resume_data, decision);
+        assert.equal(completed.result.approved, true);
+
+        const resumeEvent = taskManager.getTaskEvents(taskId).find(event => event.event_type === 'task_resumed');
+        assert.deepEqual(resumeEvent.metadata.resume_data, decision);
+    });
+
+    it('should drop resume data when a resumed task is retried', () => {
+        const seen = [];
+        let failures = 0;
+
+        taskManager.use('approvalFlow', {
+            handler: async (task) => {
+                seen.push({ stage: task.stage, reason: task.resume_reason, data: task.resume_data });
+                if (task.stage === 0) {
+                    return task.suspend({ reason: 'awaiting_approval' });
+                }
+                if (failures++ === 0) {
+                    throw new Error('approval service unavailable');
+                }
+                return { approved: task.resume_data.approved };
+            },
+            max_retries: 3,
+            retry_interval: 0
+        });
+
+        const taskId = taskManager.async('approvalFlow', { amount: 100 });
+        waitForStatus(taskManager, taskId, 'suspended');
+        taskManager.resumeTask(taskId, { resume_reason: 'approved_by_ops', data: { approved: true } });
+
+        // The retry restarts from stage 0, which must not see the data of the earlier resume
+        const suspended = waitForStatus(taskManager, taskId, 'suspended');
+        assert.equal(suspended.retry_count, 1);
+        assert.equal(suspended.resume_data, null);
+        assert.equal(suspended.resume_reason, null);
+        assert.deepEqual(seen, [
+            { stage: 0, reason: null, data: null },
+            { stage: 1, reason: 'approved_by_ops', data: { approved: true } },
+            { stage: 0, reason: null, data: null }
+        ]);
+    });
+
     it('should cancel suspended task to permanently_failed', () => {
         taskManager.use('approvalFlow', async (task) => {
             if (task.stage === 0) {
@@ -121,7 +182,7 @@ describe('Explicit Suspension (human-in-the-loop)', () => {
         const taskId = taskManager.async('approvalFlow', { amount: 100 });
         waitForStatus(taskManager, taskId, 'suspended');
 
-        taskManager.cancelTask(taskId, { reason: 'request abandoned' });
+        assert.equal(taskManager.cancelTask(taskId, { reason: 'request abandoned' }), 'permanently_failed');
         const cancelled = waitForStatus(taskManager, taskId, 'permanently_failed');
 
         assert.equal(cancelled.error, 'request abandoned');
@@ -258,6 +319,197 @@ describe('Explicit Suspension (human-in-the-loop)', () => {
         assert.equal(taskManager.getTask(parentId).result.parent_done, true);
     });
 
+    it('should resume sleeping tasks at the next stage when their timer is due', () => {
+        const stages = [];
+
+        taskManager.use('reminderFlow', async (task) => {
+            stages.push(task.stage);
+            if (task.stage === 0) {
+                return task.sleep(1, Buffer.from('first'));
+            }
+            if (task.stage === 1) {
+                return task.sleepUntil(new Date(Date.now() + 1000));
+            }
+            return { reminders: task.stage };
+        });
+
+        const taskId = taskManager.async('reminderFlow', {});
+        const sleeping = waitForStatus(taskManager, taskId, 'suspended');
+        assert.ok(sleeping.resume_at > 0, 'sleeping task should record its resume time');
+        assert.equal(sleeping.context.toString(), 'first');
+
+        const completed = waitForStatus(taskManager, taskId, 'completed', 8000);
+        assert.deepEqual(stages, [0, 1, 2]);
+        assert.equal(completed.result.reminders, 2);
+        assert.equal(completed.resume_at, null);
+
+        const events = taskManager.getTaskEvents(taskId);
+        const suspendEvents = events.filter(event => event.event_type === 'task_suspended');
+        assert.equal(suspendEvents.length, 2);
+        assert.equal(suspendEvents[0].metadata.suspend_reason, 'timer');
+        const resumeEvents = events.filter(event => event.event_type === 'task_resumed');
+        assert.equal(resumeEvents.length, 2);
+        assert.deepEqual(resumeEvents.map(event => event.stage), [1, 2]);
+    });
+
+    it('should reject invalid sleep durations', () => {
+        taskManager.use('badSleep', async (task) => {
+            return task.sleep(-1);
+        });
+
+        const taskId = taskManager.async('badSleep', {});
+        const failed = waitForStatus(taskManager, taskId, 'failed');
+
+        assert.ok(failed.error.includes('sleep requires a non-negative number of seconds'));
+    });
+
+    it('should apply the expiry action of expired suspensions', () => {
+        const resumeReasons = [];
+
+        taskManager.use('expiringFlow', async (task) => {
+            if (task.stage === 0) {
+                return task.suspend({
+                    reason: 'awaiting_approval',
+                    expires_in: 1,
+                    on_expire: task.payload.on_expire
+                });
+            }
+            resumeReasons.push(task.resume_reason);
+            return { escalated: true };
+        });
+
+        const resumedId = taskManager.async('expiringFlow', { on_expire: 'resume' });
+        const cancelledId = taskManager.async('expiringFlow', {});
+        const failedId = taskManager.async('expiringFlow', { on_expire: 'fail' });
+
+        const suspended = waitForStatus(taskManager, resumedId, 'suspended');
+        assert.equal(suspended.suspend_on_expire, 'resume');
+        assert.ok(suspended.suspend_expires_at > 0);
+
+        const resumed = waitForStatus(taskManager, resumedId, 'completed', 8000);
+        assert.equal(resumed.stage, 1);
+        assert.deepEqual(resumeReasons, ['suspension_expired']);
+
+        const cancelled = waitForStatus(taskManager, cancelledId, 'cancelled', 8000);
+        assert.equal(cancelled.error, 'Suspension expired');
+        const failed = waitForStatus(taskManager, failedId, 'permanently_failed', 8000);
+        assert.equal(failed.error, 'Suspension expired');
+
+        const expired = taskManager.getTaskEvents(cancelledId).filter(event => event.event_type === 'task_suspension_expired');
+        assert.equal(expired.length, 1);
+        assert.equal(expired[0].from_status, 'suspended');
+        assert.equal(expired[0].to_status, 'cancelled');
+        assert.equal(expired[0].metadata.on_expire, 'cancel');
+    });
+
+    it('should keep suspensions that are resumed before they expire', () => {
+        const resumeReasons = [];
+
+        taskManager.use('approvedFlow', async (task) => {
+            if (task.stage === 0) {
+                return task.suspend({ reason: 'awaiting_approval', expires_in: 1, on_expire: 'fail' });
+            }
+            resumeReasons.push(task.resume_reason);
+            return { approved: true };
+        });
+
+        const taskId = taskManager.async('approvedFlow', {});
+        waitForStatus(taskManager, taskId, 'suspended');
+        taskManager.resumeTask(taskId, { resume_reason: 'approved_by_ops' });
+
+        const completed = waitForStatus(taskManager, taskId, 'completed');
+        assert.equal(completed.suspend_expires_at, null);
+        coroutine.sleep(1500);
+
+        assert.equal(taskManager.getTask(taskId).status, 'completed');
+        assert.deepEqual(resumeReasons, ['approved_by_ops']);
+        assert.ok(!taskManager.getTaskEvents(taskId).some(event => event.event_type === 'task_suspension_expired'));
+    });
+
+    it('should reject invalid suspension deadlines', () => {
+        taskManager.use('badDeadline', async (task) => {
+            return task.suspend({ reason: 'awaiting_approval', on_expire: 'resume' });
+        });
+
+        const taskId = taskManager.async('badDeadline', {});
+        const failed = waitForStatus(taskManager, taskId, 'failed');
+
+        assert.ok(failed.error.includes('on_expire requires expires_in'));
+    });
+
+    it('should resume tasks waiting for a signal with the signal data', () => {
+        const received = [];
+
+        taskManager.use('paymentFlow', async (task) => {
+            if (task.stage === 0) {
+                return task.waitForSignal('payment_confirmed');
+            }
+            received.push({ reason: task.resume_reason, data: task.resume_data, others: task.signals() });
+            return { paid: true };
+        });
+
+        const taskId = taskManager.async('paymentFlow', {});
+        const waiting = waitForStatus(taskManager, taskId, 'suspended');
+        assert.equal(waiting.wait_signal, 'payment_confirmed');
+
+        taskManager.signal(taskId, 'note', { text: 'unrelated' });
+        coroutine.sleep(300);
+        assert.equal(taskManager.getTask(taskId).status, 'suspended', 'other signal names should not resume the task');
+
+        taskManager.signal(taskId, 'payment_confirmed', { amount: 42 });
+        waitForStatus(taskManager, taskId, 'completed');
+
+        assert.equal(received.length, 1);
+        assert.equal(received[0].reason, 'signal');
+        assert.deepEqual(received[0].data, { amount: 42 });
+        assert.equal(received[0].others.length, 1);
+        assert.equal(received[0].others[0].name, 'note');
+        assert.deepEqual(received[0].others[0].data, { text: 'unrelated' });
+
+        const events = taskManager.getTaskEvents(taskId);
+        const signalEvents = events.filter(event => event.event_type === 'task_signal_received');
+        assert.deepEqual(signalEvents.map(event => event.metadata.signal_name), ['note', 'payment_confirmed']);
+        const resumeEvent = events.find(event => event.event_type === 'task_resumed');
+        assert.equal(resumeEvent.metadata.resume_reason, 'signal');
+        assert.equal(resumeEvent.metadata.signal_name, 'payment_confirmed');
+
+        assert.throws(() => taskManager.signal(taskId, 'late', {}), /Cannot signal task .* in status completed/);
+        assert.throws(() => taskManager.signal(taskId, ' ', {}), /Signal name must not be empty/);
+    });
+
+    it('should deliver signals sent before the task waits for them', () => {
+        taskManager.use('earlySignalFlow', async (task) => {
+            if (task.stage === 0) {
+                coroutine.sleep(300);
+                return task.waitForSignal('ready', { timeout: 10 });
+            }
+            return { reason: task.resume_reason, data: task.resume_data };
+        });
+
+        const taskId = taskManager.async('earlySignalFlow', {});
+        waitForStatus(taskManager, taskId, 'running');
+        taskManager.signal(taskId, 'ready', { early: true });
+
+        const completed = waitForStatus(taskManager, taskId, 'completed');
+        assert.equal(completed.result.reason, 'signal');
+        assert.deepEqual(completed.result.data, { early: true });
+        assert.equal(completed.suspend_expires_at, null);
+    });
+
+    it('should resume signal waits after their timeout', () => {
+        taskManager.use('timeoutSignalFlow', async (task) => {
+            if (task.stage === 0) {
+                return task.waitForSignal('never_sent', { timeout: 1 });
+            }
+            return { reason: task.resume_reason };
+        });
+
+        const taskId = taskManager.async('timeoutSignalFlow', {});
+        const completed = waitForStatus(taskManager, taskId, 'completed', 8000);
+        assert.equal(completed.result.reason, 'suspension_expired');
+        assert.equal(completed.wait_signal, null);
+    });
+
     it('should support legacy pause and resume', () => {
         taskManager.use('pausable', async (task) => {
             coroutine.sleep(200);
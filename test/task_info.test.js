@@ -72,6 +72,33 @@ describe('Task Information API', () => {
         assert.equal(taskInfo2.description, 'Second bulk task', 'Second bulk task should have correct description');
     });
 
+    it('should report rate limit window usage', () => {
+        taskManager.use('rateLimitedTask', {
+            handler: async (task) => {
+                return { success: true };
+            },
+            rate_limit: { limit: 5, interval: 60 }
+        });
+
+        let taskInfo = taskManager.getTaskInfo('rateLimitedTask');
+        assert.equal(taskInfo.rate_limit.limit, 5, 'Rate limit should be reported');
+        assert.equal(taskInfo.rate_limit.interval, 60, 'Rate limit interval should be reported');
+        assert.equal(taskInfo.rate_limit.used, 0, 'No task has been claimed yet');
+
+        taskManager.async('rateLimitedTask', {});
+        taskManager.db.claimTask(['rateLimitedTask'], 'test-worker', {
+            rate_limits: { rateLimitedTask: taskManager.handlers.get('rateLimitedTask').options.rate_limit }
+        });
+
+        taskInfo = taskManager.getTaskInfo('rateLimitedTask');
+        assert.equal(taskInfo.rate_limit.used, 1, 'Claimed task should count against the window');
+        assert.equal(taskInfo.rate_limit.remaining, 4, 'Remaining claims should be reported');
+
+        assert.throws(() => {
+            taskManager.use('badRateLimitTask', { handler: () => { }, rate_limit: { limit: 0, interval: 60 } });
+        }, /rate_limit limit/);
+    });
+
     it('should not expose removed schema metadata fields', () => {
         taskManager.use('simpleTask', async (task) => {
             return { success: true };
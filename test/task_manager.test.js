@@ -61,6 +61,33 @@ describe('TaskManager Initialization', () => {
         assert.ok(taskManager.options.worker_id.startsWith('worker-'), 'Worker ID should start with "worker-"');
     });
 
+    it('should normalize and validate retry policies', () => {
+        const taskManager = new TaskManager({
+            dbConnection: TEST_DB_CONNECTION,
+            retry_policy: { strategy: 'linear', base: 5 }
+        });
+        taskManager.db.setup();
+
+        assert.deepEqual(taskManager.options.retry_policy, { strategy: 'linear', base: 5, factor: 5, jitter: 0 });
+
+        taskManager.use('defaultPolicyTask', task => ({ success: true }));
+        taskManager.use('backoffTask', {
+            handler: task => ({ success: true }),
+            retry_policy: { base: 2, max_interval: 30, jitter: true }
+        });
+        assert.deepEqual(taskManager.handlers.get('defaultPolicyTask').options.retry_policy, { strategy: 'linear', base: 5, factor: 5, jitter: 0 });
+        assert.deepEqual(taskManager.handlers.get('backoffTask').options.retry_policy, { strategy: 'exponential', base: 2, factor: 2, max_interval: 30, jitter: 1 });
+
+        const taskId = taskManager.async('backoffTask', {}, { retry_policy: { strategy: 'fixed', base: 7 } });
+        assert.deepEqual(taskManager.getTask(taskId).retry_policy, { strategy: 'fixed', base: 7, jitter: 0 });
+
+        assert.throws(() => taskManager.async('backoffTask', {}, { retry_policy: { strategy: 'random' } }));
+        assert.throws(() => taskManager.async('backoffTask', {}, { retry_policy: { base: -1 } }));
+        assert.throws(() => taskManager.async('backoffTask', {}, { retry_policy: { jitter: 2 } }));
+
+        taskManager.stop();
+    });
+
     it('should submit tasks before starting TaskManager', () => {
         const taskManager = new TaskManager({ dbConnection: TEST_DB_CONNECTION });
         taskManager.db.setup();
@@ -352,6 +379,45 @@ describe('Task Concurrency', () => {
         assert.equal(completed, 5, 'All tasks should complete');
     });
 
+    it('should respect global_max_concurrent against running rows of other workers', () => {
+        let running = 0;
+        let maxRunning = 0;
+        let completed = 0;
+
+        taskManager.use('globalLimitedTask', {
+            handler: () => {
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                coroutine.sleep(200);
+                running--;
+                completed++;
+                return { success: true };
+            },
+            global_max_concurrent: 2
+        });
+
+        assert.throws(() => taskManager.use('badGlobalLimitTask', { handler: () => { }, global_max_concurrent: 0 }));
+
+        // Simulate a task of the same name held by another worker in the cluster
+        const foreignTaskId = taskManager.async('globalLimitedTask', { foreign: true });
+        taskManager.db.claimTask(['globalLimitedTask'], 'other-worker');
+
+        taskManager.start();
+
+        for (let i = 0; i < 4; i++) {
+            taskManager.async('globalLimitedTask', { index: i });
+        }
+
+        const deadline = Date.now() + 5000;
+        while (completed < 4 && Date.now() < deadline) {
+            coroutine.sleep(100);
+        }
+
+        assert.equal(completed, 4, 'All local tasks should complete');
+        assert.equal(maxRunning, 1, 'Only one slot is left while the foreign task is running');
+        assert.equal(taskManager.getTask(foreignTaskId).status, 'running');
+    });
+
     it('should handle multiple task types with different concurrency limits', () => {
         const stats = {
             task1: { running: 0, maxRunning: 0, completed: 0 },
@@ -716,4 +782,109 @@ describe('Task Concurrency', () => {
 
         assert.equal(taskManager.getTask(taskId).result.completed, true);
     });
+
+    it('should run middleware around handlers', () => {
+        const calls = [];
+        const observedErrors = [];
+
+        taskManager.useMiddleware('wrappedTask', async (task, next) => {
+            calls.push(`task:${task.payload.mode}`);
+            task.payload.value *= 10;
+            return next();
+        });
+        taskManager.useMiddleware(async (task, next) => {
+            calls.push(`global:${task.payload.mode}`);
+            if (task.payload.mode === 'cached') {
+                return { value: 'from cache' };
+            }
+            if (task.payload.mode === 'approval') {
+                return task.suspend({ reason: 'needs_approval' });
+            }
+            try {
+                return await next();
+            } catch (error) {
+                observedErrors.push(error.message);
+                throw error;
+            }
+        });
+
+        taskManager.use('wrappedTask', {
+            handler: async (task) => {
+                if (task.payload.mode === 'fail') {
+                    throw new Error('handler failed');
+                }
+                return { value: task.payload.value };
+            },
+            max_retries: 1
+        });
+        taskManager.use('plainTask', async () => ({ plain: true }));
+
+        taskManager.start();
+
+        const normalId = taskManager.async('wrappedTask', { mode: 'normal', value: 2 });
+        const cachedId = taskManager.async('wrappedTask', { mode: 'cached', value: 2 });
+        const approvalId = taskManager.async('wrappedTask', { mode: 'approval', value: 2 });
+        const failedId = taskManager.async('wrappedTask', { mode: 'fail', value: 2 });
+        const plainId = taskManager.async('plainTask', { mode: 'plain' });
+
+        const waitForStatus = (taskId, statuses) => {
+            while (!statuses.includes(taskManager.getTask(taskId).status)) {
+                coroutine.sleep(20);
+            }
+        };
+        waitForStatus(normalId, ['completed']);
+        waitForStatus(cachedId, ['completed']);
+        waitForStatus(approvalId, ['suspended']);
+        waitForStatus(failedId, ['failed', 'permanently_failed']);
+        waitForStatus(plainId, ['completed']);
+
+        assert.deepEqual(taskManager.getTask(normalId).result, { value: 20 });
+        assert.deepEqual(taskManager.getTask(cachedId).result, { value: 'from cache' });
+        const approvals = taskManager.getTasksByStatus('suspended', { suspend_reason: 'needs_approval' });
+        assert.deepEqual(approvals.map(task => task.id), [approvalId]);
+        assert.deepEqual(observedErrors, ['handler failed']);
+
+        // Global middleware wraps task-specific middleware even when registered later
+        assert.ok(calls.indexOf('global:normal') < calls.indexOf('task:normal'));
+        assert.ok(calls.includes('global:plain'));
+        assert.ok(!calls.includes('task:plain'));
+        assert.ok(!calls.includes('task:cached'));
+
+        assert.throws(() => taskManager.useMiddleware('wrappedTask'), /Middleware must be a function/);
+        assert.throws(() => taskManager.useMiddleware(42, () => { }), /Middleware task name must be a non-empty string/);
+    });
+
+    it('should keep the middleware captured when a task attempt started', () => {
+        let started = false;
+        let release = false;
+
+        taskManager.use('snapshotTask', async () => {
+            started = true;
+            while (!release) {
+                coroutine.sleep(10);
+            }
+            return { wrapped: false };
+        });
+
+        taskManager.start();
+
+        const firstTask = taskManager.async('snapshotTask');
+        while (!started) {
+            coroutine.sleep(10);
+        }
+
+        taskManager.useMiddleware('snapshotTask', async (task, next) => {
+            const result = await next();
+            return { ...result, wrapped: true };
+        });
+        release = true;
+
+        const secondTask = taskManager.async('snapshotTask');
+        while (taskManager.getTask(firstTask).status !== 'completed' || taskManager.getTask(secondTask).status !== 'completed') {
+            coroutine.sleep(20);
+        }
+
+        assert.equal(taskManager.getTask(firstTask).result.wrapped, false);
+        assert.equal(taskManager.getTask(secondTask).result.wrapped, true);
+    });
 });